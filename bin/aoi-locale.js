@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+const commands = {
+    validate: require('../lib/cli/validate'),
+    extract: require('../lib/cli/extract')
+};
+
+const USAGE = `Usage: aoi-locale <command> [options]
+
+Commands:
+${Object.values(commands).map(command => `  ${command.usage}\n      ${command.description}`).join('\n')}`;
+
+/**
+ * Splits command line arguments into positionals and --options
+ * @param {Array} argv - Arguments after the command name
+ * @param {Array} flags - Options that take no value
+ * @returns {Object} { positionals, options } (repeated options become arrays)
+ */
+function parseArgs(argv, flags) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const value = flags.includes(name) ? true : inlineValue !== undefined ? inlineValue : argv[++i];
+
+        if (value === undefined) {
+            throw new Error(`Option --${name} needs a value`);
+        }
+
+        if (options[name] === undefined) {
+            options[name] = value;
+        } else {
+            options[name] = [].concat(options[name], value);
+        }
+    }
+
+    return { positionals, options };
+}
+
+async function main() {
+    const [name, ...argv] = process.argv.slice(2);
+    const command = commands[name];
+
+    if (!command) {
+        console.error(USAGE);
+        return name === '--help' || name === '-h' ? 0 : 2;
+    }
+
+    const { positionals, options } = parseArgs(argv, command.flags || []);
+    return command.run(positionals, options);
+}
+
+main().then((code) => {
+    process.exitCode = code;
+}, (error) => {
+    console.error(`aoi-locale: ${error.message}`);
+    process.exitCode = 2;
+});
@@ -0,0 +1,120 @@
+const http = require('http');
+const https = require('https');
+const LocaleBackend = require('./LocaleBackend');
+
+class HttpBackend extends LocaleBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {string} options.baseUrl - URL serving <baseUrl>/<lang>.json
+     * @param {Array} [options.locales] - Locale codes (fetched from <baseUrl>/index.json if omitted)
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {number} [options.timeout=10000] - Request timeout in ms
+     */
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.baseUrl) {
+            throw new TypeError('[aoi.locale] HttpBackend requires a baseUrl');
+        }
+
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.localeList = options.locales || null;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+        this.responseCache = new Map();
+    }
+
+    /**
+     * Lists locale codes from the locales option or <baseUrl>/index.json
+     * @returns {Promise<Array>} Locale codes
+     */
+    async listLocales() {
+        if (this.localeList) {
+            return this.localeList;
+        }
+
+        const index = await this.fetchJson(`${this.baseUrl}/index.json`);
+        const locales = Array.isArray(index) ? index : index && index.locales;
+
+        if (!Array.isArray(locales)) {
+            throw new Error(`${this.baseUrl}/index.json must be an array of locale codes or { "locales": [...] }`);
+        }
+
+        return locales;
+    }
+
+    /**
+     * Fetches <baseUrl>/<lang>.json
+     * @param {string} locale - Language code
+     * @returns {Promise<Object>} Translation data
+     */
+    async loadLocale(locale) {
+        return this.fetchJson(`${this.baseUrl}/${encodeURIComponent(locale)}.json`);
+    }
+
+    /**
+     * Fetches and parses JSON, reusing the cached body when the server answers 304
+     * @param {string} url - Request URL
+     * @returns {Promise<*>} Parsed JSON
+     */
+    async fetchJson(url) {
+        const cached = this.responseCache.get(url);
+        const headers = { Accept: 'application/json', ...this.headers };
+
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        const response = await this.request(url, headers);
+
+        if (response.statusCode === 304 && cached) {
+            if (this.debug) {
+                console.log(`[aoi.locale] ${url} not modified, using cached version`);
+            }
+            return cached.data;
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw new Error(`Error loading ${url}: HTTP ${response.statusCode}`);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(response.body);
+        } catch (error) {
+            throw new Error(`Error loading ${url}: ${error.message}`);
+        }
+
+        this.responseCache.set(url, { etag: response.headers.etag || null, data });
+        return data;
+    }
+
+    /**
+     * Performs a GET request
+     * @param {string} url - Request URL
+     * @param {Object} headers - Request headers
+     * @returns {Promise<Object>} { statusCode, headers, body }
+     */
+    request(url, headers) {
+        const client = url.startsWith('https:') ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.get(url, { headers }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+                res.on('error', reject);
+            });
+
+            req.setTimeout(this.timeout, () => {
+                req.destroy(new Error(`Error loading ${url}: request timed out after ${this.timeout}ms`));
+            });
+            req.on('error', (error) => {
+                reject(error.message.startsWith('Error loading') ? error : new Error(`Error loading ${url}: ${error.message}`));
+            });
+        });
+    }
+}
+
+module.exports = HttpBackend;
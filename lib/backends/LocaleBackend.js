@@ -0,0 +1,600 @@
+const TextInterpolator = require('../utils/TextInterpolator');
+const LocaleNormalizer = require('../utils/LocaleNormalizer');
+const PseudoLocalizer = require('../utils/PseudoLocalizer');
+
+const MAX_PSEUDO_MESSAGES = 1000;
+
+const isThenable = (value) => value && typeof value.then === 'function';
+
+const settle = (value, callback) => isThenable(value) ? value.then(callback) : callback(value);
+
+const settleAll = (values, callback) => values.some(isThenable) ? Promise.all(values).then(callback) : callback(values);
+
+const isMessage = (value) => typeof value === 'string' || TextInterpolator.isPluralObject(value);
+
+const collectMessageKeys = (data) => {
+    const keys = [];
+
+    const visit = (value, path) => {
+        if (isMessage(value)) {
+            if (value !== '') keys.push(path.join('.'));
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                visit(child, [...path, key]);
+            }
+        }
+    };
+
+    visit(data, []);
+    return keys;
+};
+
+const getPath = (data, key) => {
+    let current = data;
+
+    for (const k of key.split('.')) {
+        if (current && typeof current === 'object' && k in current) {
+            current = current[k];
+        } else {
+            return undefined;
+        }
+    }
+
+    return current;
+};
+
+const attempt = (fn) => {
+    try {
+        const result = fn();
+        return isThenable(result)
+            ? result.then(data => ({ data }), error => ({ error }))
+            : { data: result };
+    } catch (error) {
+        return { error };
+    }
+};
+
+/**
+ * Base class for locale sources. Subclasses implement listLocales() and
+ * loadLocale(locale), and optionally saveLocale(locale, data); any of them may
+ * return a Promise. The base class keeps the loaded translations in memory.
+ */
+class LocaleBackend {
+    constructor(options = {}) {
+        this.locales = new Map();
+        this.backendLocales = new Set();
+        this.recentLocales = new Map();
+        this.pendingLocales = new Map();
+        this.pseudoMessages = new Map();
+        this.configure(options);
+    }
+
+    /**
+     * Wraps a plain object implementing the backend methods
+     * @param {Object} source - Object with listLocales, loadLocale and optional saveLocale
+     * @returns {LocaleBackend} Backend instance
+     */
+    static from(source) {
+        if (source instanceof LocaleBackend) return source;
+
+        if (!source || typeof source.listLocales !== 'function' || typeof source.loadLocale !== 'function') {
+            throw new TypeError('[aoi.locale] A locale backend must implement listLocales() and loadLocale(locale)');
+        }
+
+        const backend = new LocaleBackend();
+        backend.listLocales = () => source.listLocales();
+        backend.loadLocale = (locale) => source.loadLocale(locale);
+
+        if (typeof source.saveLocale === 'function') {
+            backend.saveLocale = (locale, data) => source.saveLocale(locale, data);
+        }
+
+        return backend;
+    }
+
+    /**
+     * Applies store options
+     * @param {Object} options - { debug, defaultLocale, lazy, maxLoadedLocales, aliases, pseudoLocale }
+     */
+    configure(options = {}) {
+        if (options.debug !== undefined) this.debug = options.debug;
+        if (options.defaultLocale !== undefined) this.defaultLocale = options.defaultLocale;
+        if (options.lazy !== undefined) this.lazy = options.lazy;
+        if (options.maxLoadedLocales !== undefined) this.maxLoadedLocales = options.maxLoadedLocales;
+        if (options.aliases !== undefined) this.aliases = LocaleNormalizer.createAliases(options.aliases);
+        if (options.pseudoLocale !== undefined) {
+            this.pseudoLocale = this.createPseudoLocale(options.pseudoLocale);
+            this.pseudoMessages.clear();
+        }
+
+        this.debug = this.debug || false;
+        this.defaultLocale = this.defaultLocale || null;
+        this.lazy = this.lazy || false;
+        this.maxLoadedLocales = this.maxLoadedLocales || 10;
+        this.aliases = this.aliases || new Map();
+        this.pseudoLocale = this.pseudoLocale || null;
+    }
+
+    /**
+     * Normalizes the pseudoLocale option
+     * @param {boolean|Object} option - true, or { code = 'pseudo', expansion = 30 }
+     * @returns {Object|null} { code, expansion } or null if disabled
+     */
+    createPseudoLocale(option) {
+        if (!option) return null;
+
+        const settings = option === true ? {} : option;
+        return {
+            code: settings.code || 'pseudo',
+            expansion: settings.expansion !== undefined ? Number(settings.expansion) : 30
+        };
+    }
+
+    /**
+     * Checks if a code is the synthetic pseudo locale
+     * @param {string} locale - Language code
+     * @returns {boolean} Whether locale is the pseudo locale
+     */
+    isPseudoLocale(locale) {
+        return Boolean(this.pseudoLocale) && locale === this.pseudoLocale.code;
+    }
+
+    /**
+     * Pseudo-localizes a default locale value, reusing earlier results
+     * @param {string|Object} value - Message or plural forms object
+     * @returns {string|Object} Pseudo-localized value
+     */
+    getPseudoMessage(value) {
+        let result = this.pseudoMessages.get(value);
+
+        if (result === undefined) {
+            result = PseudoLocalizer.localize(value, this.pseudoLocale.expansion);
+            if (this.pseudoMessages.size >= MAX_PSEUDO_MESSAGES) {
+                this.pseudoMessages.clear();
+            }
+            this.pseudoMessages.set(value, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Lists the locale codes this backend provides
+     * @returns {Array|Promise<Array>} Locale codes
+     */
+    listLocales() {
+        throw new Error(`[aoi.locale] ${this.constructor.name} does not implement listLocales()`);
+    }
+
+    /**
+     * Loads the translation data of a locale
+     * @param {string} locale - Language code
+     * @returns {Object|Promise<Object>} Translation data
+     */
+    loadLocale(locale) {
+        throw new Error(`[aoi.locale] ${this.constructor.name} does not implement loadLocale()`);
+    }
+
+    /**
+     * Saves the translation data of a locale
+     * @param {string} locale - Language code
+     * @param {Object} data - Translation data
+     * @returns {void|Promise<void>}
+     */
+    saveLocale(locale, data) {
+        throw new Error(`[aoi.locale] ${this.constructor.name} does not support saving locales`);
+    }
+
+    /**
+     * Checks if this backend implements saveLocale
+     * @returns {boolean} Whether locales can be saved
+     */
+    canSave() {
+        return this.saveLocale !== LocaleBackend.prototype.saveLocale;
+    }
+
+    /**
+     * Loads locales from the backend (only the default one in lazy mode)
+     * @returns {Array|Promise<Array>} Available locale list
+     */
+    loadLocales() {
+        return this.guard(() => this.readLocales(), 'Error loading locales');
+    }
+
+    /**
+     * Re-reads loaded locales from the backend and swaps them in at once
+     * Locales that fail to load keep their last good version.
+     * @returns {Array|Promise<Array>} Available locale list
+     */
+    reloadLocales() {
+        return this.guard(() => settle(this.readLocales(), () => {
+            if (this.defaultLocale && !this.hasLocale(this.defaultLocale)) {
+                console.warn(`[aoi.locale] Default locale '${this.defaultLocale}' is no longer available after reload`);
+            }
+            if (this.debug) {
+                console.log(`[aoi.locale] Reloaded locales: ${this.getAvailableLocales().join(', ')}`);
+            }
+        }), 'Error reloading locales');
+    }
+
+    /**
+     * Runs a load step, logging errors instead of throwing them
+     * @param {Function} fn - Load step
+     * @param {string} message - Error message prefix
+     * @returns {Array|Promise<Array>} Available locale list
+     */
+    guard(fn, message) {
+        const onError = (error) => {
+            console.error(`[aoi.locale] ${message}: ${error.message}`);
+            return this.getAvailableLocales();
+        };
+
+        try {
+            const result = fn();
+            return isThenable(result)
+                ? result.then(() => this.getAvailableLocales(), onError)
+                : this.getAvailableLocales();
+        } catch (error) {
+            return onError(error);
+        }
+    }
+
+    /**
+     * Lists and loads locales into a new Map and replaces the current one
+     * @returns {void|Promise<void>}
+     */
+    readLocales() {
+        return settle(this.listLocales(), (list) => {
+            const listed = Array.from(list || []);
+            const eagerLocale = this.defaultLocale || listed[0];
+            const targets = listed.filter(locale => !this.lazy || locale === eagerLocale || this.locales.has(locale));
+            const results = targets.map(locale => attempt(() => this.loadLocale(locale)));
+
+            return settleAll(results, (loaded) => this.swapLocales(listed, targets, loaded));
+        });
+    }
+
+    /**
+     * Reads every locale from the backend without changing the loaded locales
+     * Locales added with addLocale are included as they are.
+     * @returns {Object|Promise<Object>} Translation data (or the load Error) keyed by locale
+     */
+    readAllLocales() {
+        return settle(this.listLocales(), (list) => {
+            const listed = Array.from(list || []);
+            const results = listed.map(locale => attempt(() => this.loadLocale(locale)));
+
+            return settleAll(results, (loaded) => {
+                const locales = {};
+
+                listed.forEach((locale, index) => {
+                    locales[locale] = loaded[index].error || loaded[index].data;
+                });
+
+                for (const [locale, data] of this.locales) {
+                    if (!this.backendLocales.has(locale) && !(locale in locales)) {
+                        locales[locale] = data;
+                    }
+                }
+
+                return locales;
+            });
+        });
+    }
+
+    /**
+     * Replaces the loaded locales with freshly loaded data
+     * @param {Array} listed - Locales listed by the backend
+     * @param {Array} targets - Locales that were loaded
+     * @param {Array} loaded - Load results ({ data } or { error }) for each target
+     */
+    swapLocales(listed, targets, loaded) {
+        const locales = new Map();
+
+        targets.forEach((locale, index) => {
+            const { data, error } = loaded[index];
+
+            if (!error && this.isLocaleData(data)) {
+                locales.set(locale, data);
+                return;
+            }
+
+            console.error(`[aoi.locale] ${error ? error.message : `Locale '${locale}' must be an object`}`);
+
+            if (this.locales.has(locale)) {
+                locales.set(locale, this.locales.get(locale));
+                console.warn(`[aoi.locale] Keeping last loaded version of locale '${locale}'`);
+            }
+        });
+
+        for (const [locale, data] of this.locales) {
+            if (!this.backendLocales.has(locale) && !locales.has(locale)) {
+                locales.set(locale, data);
+            }
+        }
+
+        this.locales = locales;
+        this.backendLocales = new Set(listed);
+
+        for (const locale of this.recentLocales.keys()) {
+            if (!locales.has(locale)) {
+                this.recentLocales.delete(locale);
+            }
+        }
+    }
+
+    /**
+     * Checks if a value can be used as translation data
+     * @param {*} data - Loaded value
+     * @returns {boolean} Whether value is a plain object
+     */
+    isLocaleData(data) {
+        return Boolean(data) && typeof data === 'object' && !Array.isArray(data);
+    }
+
+    /**
+     * Gets text for key from specified locale
+     * The pseudo locale reads the default locale and pseudo-localizes the text.
+     * @param {string} key - Translation key
+     * @param {string} locale - Language code
+     * @returns {string|Object|null} Text, plural forms object or null
+     */
+    getFromLocale(key, locale) {
+        if (this.isPseudoLocale(locale)) {
+            const defaultLocale = this.getDefaultLocale();
+            const source = this.isPseudoLocale(defaultLocale) ? null : this.getFromLocale(key, defaultLocale);
+            return source ? this.getPseudoMessage(source) : null;
+        }
+
+        const value = this.getValueFromLocale(key, locale);
+        return isMessage(value) ? value : null;
+    }
+
+    /**
+     * Lists the messages under a key, relative to that key
+     * The pseudo locale lists the messages of the default locale.
+     * @param {string} key - Key of a nested group ('help')
+     * @param {string} locale - Language code
+     * @returns {Array|null} Dotted keys of the non-empty messages, or null if key is not a group
+     */
+    getGroupKeys(key, locale) {
+        if (this.isPseudoLocale(locale)) {
+            const defaultLocale = this.getDefaultLocale();
+            return this.isPseudoLocale(defaultLocale) ? null : this.getGroupKeys(key, defaultLocale);
+        }
+
+        const value = this.getValueFromLocale(key, locale);
+        return this.isLocaleData(value) && !TextInterpolator.isPluralObject(value) ? collectMessageKeys(value) : null;
+    }
+
+    /**
+     * Walks a dotted key in the data of a locale
+     * @param {string} key - Translation key
+     * @param {string} locale - Language code
+     * @returns {*} Value at the key or undefined
+     */
+    getValueFromLocale(key, locale) {
+        const localeData = this.getLocaleData(locale);
+        if (!localeData) return undefined;
+
+        return getPath(localeData, key);
+    }
+
+    /**
+     * Lists the dotted keys of all non-empty messages of a locale (see peekLocale)
+     * @param {string} locale - Language code
+     * @returns {Array|Promise<Array>} Message keys
+     * @throws {Error} If the locale cannot be read
+     */
+    getMessageKeys(locale) {
+        return settle(this.peekLocale(locale), collectMessageKeys);
+    }
+
+    /**
+     * Reads the messages under a key of a locale (see peekLocale)
+     * @param {string} key - Key of a nested group ('commands')
+     * @param {string} locale - Language code
+     * @returns {Object|Promise<Object>} Messages keyed by their full dotted key
+     * @throws {Error} If the locale cannot be read
+     */
+    getGroupMessages(key, locale) {
+        return settle(this.peekLocale(locale), (data) => {
+            const group = getPath(data, key);
+            const messages = {};
+
+            if (this.isLocaleData(group) && !TextInterpolator.isPluralObject(group)) {
+                for (const messageKey of collectMessageKeys(group)) {
+                    messages[`${key}.${messageKey}`] = getPath(group, messageKey);
+                }
+            }
+
+            return messages;
+        });
+    }
+
+    /**
+     * Reads the translation data of a locale without loading it
+     * Returns the copy in memory if there is one; otherwise, in lazy mode, the locale
+     * is read from the backend once and not kept, so the loaded locales and their
+     * usage order stay as they are.
+     * @param {string} locale - Language code
+     * @returns {Object|null|Promise<Object|null>} Translation data, or null for unknown locales
+     * @throws {Error} If the backend fails to load the locale
+     */
+    peekLocale(locale) {
+        if (this.locales.has(locale)) {
+            return this.locales.get(locale);
+        }
+
+        if (!this.lazy || !this.backendLocales.has(locale)) return null;
+
+        return settle(this.loadLocale(locale), (data) => {
+            if (!this.isLocaleData(data)) {
+                throw new Error(`Locale '${locale}' must be an object`);
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Returns the locales whose data is in memory
+     * @returns {Array} Locale list
+     */
+    getLoadedLocales() {
+        return Array.from(this.locales.keys());
+    }
+
+    /**
+     * Gets the translation data of a locale, loading it first in lazy mode
+     * With an async backend the data is available once the load finishes.
+     * @param {string} locale - Language code
+     * @returns {Object|undefined} Translation data
+     */
+    getLocaleData(locale) {
+        if (this.lazy) {
+            this.ensureLocale(locale);
+        }
+        return this.locales.get(locale);
+    }
+
+    /**
+     * Loads a locale on demand in lazy mode and marks it as recently used
+     * @param {string} locale - Language code
+     * @returns {boolean|Promise<boolean>} Whether the locale is loaded
+     */
+    ensureLocale(locale) {
+        if (this.locales.has(locale)) {
+            this.touchLocale(locale);
+            return true;
+        }
+
+        if (!this.lazy || !this.backendLocales.has(locale)) return false;
+
+        if (this.pendingLocales.has(locale)) {
+            return this.pendingLocales.get(locale);
+        }
+
+        const finish = ({ data, error }) => {
+            this.pendingLocales.delete(locale);
+
+            if (error || !this.isLocaleData(data)) {
+                console.error(`[aoi.locale] ${error ? error.message : `Locale '${locale}' must be an object`}`);
+                return false;
+            }
+
+            this.locales.set(locale, data);
+            if (this.debug) {
+                console.log(`[aoi.locale] Lazily loaded locale '${locale}'`);
+            }
+            this.touchLocale(locale);
+            return true;
+        };
+
+        const result = attempt(() => this.loadLocale(locale));
+
+        if (isThenable(result)) {
+            const pending = result.then(finish);
+            this.pendingLocales.set(locale, pending);
+            return pending;
+        }
+
+        return finish(result);
+    }
+
+    /**
+     * Marks a locale as recently used in lazy mode
+     * @param {string} locale - Language code
+     */
+    touchLocale(locale) {
+        if (!this.lazy) return;
+
+        this.recentLocales.delete(locale);
+        this.recentLocales.set(locale, true);
+        this.evictLocales();
+    }
+
+    /**
+     * Unloads least recently used locales above the maxLoadedLocales limit
+     * The default locale and locales added with addLocale are never unloaded.
+     */
+    evictLocales() {
+        const defaultLocale = this.getDefaultLocale();
+        const evictable = Array.from(this.recentLocales.keys())
+            .filter(locale => locale !== defaultLocale && this.backendLocales.has(locale));
+
+        while (evictable.length > this.maxLoadedLocales) {
+            const locale = evictable.shift();
+            this.locales.delete(locale);
+            this.recentLocales.delete(locale);
+
+            if (this.debug) {
+                console.log(`[aoi.locale] Unloaded locale '${locale}'`);
+            }
+        }
+    }
+
+    /**
+     * Gets the first available locale
+     * @returns {string|null} First locale or null
+     */
+    getFirstAvailableLocale() {
+        const locales = this.getAvailableLocales();
+        return locales.length > 0 ? locales[0] : null;
+    }
+
+    /**
+     * Gets the configured default locale, or the first available one if none is set
+     * @returns {string|null} Default locale or null
+     */
+    getDefaultLocale() {
+        if (this.defaultLocale) {
+            return this.resolveLocale(this.defaultLocale) || this.defaultLocale;
+        }
+        return this.getFirstAvailableLocale();
+    }
+
+    /**
+     * Returns all available locales (in lazy mode, including those not loaded yet)
+     * The pseudo locale comes last when enabled.
+     * @returns {Array} Locale list
+     */
+    getAvailableLocales() {
+        const locales = new Set(this.lazy ? this.backendLocales : []);
+        for (const locale of this.locales.keys()) {
+            locales.add(locale);
+        }
+        if (this.pseudoLocale && locales.size > 0) {
+            locales.add(this.pseudoLocale.code);
+        }
+        return Array.from(locales);
+    }
+
+    /**
+     * Adds a new locale
+     * @param {string} locale - Language code
+     * @param {Object} data - Translation data
+     */
+    addLocale(locale, data) {
+        this.locales.set(locale, data);
+    }
+
+    /**
+     * Finds the available locale for a user-supplied code ('TR', 'en_US', an alias)
+     * @param {string} locale - Language code or alias
+     * @returns {string|null} Available locale code or null
+     */
+    resolveLocale(locale) {
+        return LocaleNormalizer.resolve(locale, this.getAvailableLocales(), this.aliases);
+    }
+
+    /**
+     * Checks if a locale exists, ignoring case, '_' vs '-' and region variants
+     * @param {string} locale - Language code or alias
+     * @returns {boolean} Whether locale exists
+     */
+    hasLocale(locale) {
+        return this.resolveLocale(locale) !== null;
+    }
+}
+
+module.exports = LocaleBackend;
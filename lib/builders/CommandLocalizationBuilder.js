@@ -0,0 +1,195 @@
+const DiscordLocale = require('../utils/DiscordLocale');
+
+const NAME_PATTERN = /^[-_\p{L}\p{N}\p{sc=Deva}\p{sc=Thai}]{1,32}$/u;
+
+const CONTEXT_MENU_TYPES = [2, 3, 'USER', 'MESSAGE'];
+
+const TEXT_RULES = {
+    name: { max: 32, pattern: NAME_PATTERN, lowercase: true },
+    contextName: { max: 32 },
+    description: { max: 100 },
+    choice: { max: 100 }
+};
+
+class CommandLocalizationBuilder {
+    /**
+     * @param {Object} options - Builder options
+     * @param {string} [options.keyPrefix='commands'] - Key the command texts are nested under
+     * @param {Object} [options.discordLocaleMap] - Custom mapping of Discord codes to locale codes
+     */
+    constructor(options = {}) {
+        this.keyPrefix = options.keyPrefix || 'commands';
+        this.discordLocaleMap = options.discordLocaleMap || {};
+        this.issues = [];
+    }
+
+    /**
+     * Adds name and description localizations to application command definitions
+     * Texts are read from `<keyPrefix>.<command>.name` and `.description`, options from
+     * `.options.<option>.…` (nested for subcommands) and choices from `.choices.<value>`.
+     * Texts that break Discord's rules are left out and reported in `issues`.
+     * @param {Array} commandDefs - Application command definitions
+     * @param {Array} locales - Locale codes to read
+     * @param {string} defaultLocale - Locale used for missing base descriptions
+     * @param {Function} getText - Returns the text of (key, locale) or null
+     * @returns {Array} Command definitions with *_localizations fields
+     */
+    build(commandDefs, locales, defaultLocale, getText) {
+        this.locales = this.mapLocales(locales);
+        this.defaultLocale = defaultLocale;
+        this.getText = getText;
+        this.issues = [];
+
+        return commandDefs.map(def => this.localizeCommand(def, `${this.keyPrefix}.${def.name}`));
+    }
+
+    /**
+     * Maps every Discord locale onto an available locale
+     * @param {Array} locales - Locale codes
+     * @returns {Map} Discord code → locale code
+     */
+    mapLocales(locales) {
+        const mapped = new Map();
+
+        for (const discordLocale of DiscordLocale.locales) {
+            const locale = DiscordLocale.resolve(discordLocale, locales, this.discordLocaleMap);
+            if (locale) {
+                mapped.set(discordLocale, locale);
+            }
+        }
+
+        return mapped;
+    }
+
+    /**
+     * Localizes a command and its options
+     * @param {Object} def - Command definition
+     * @param {string} path - Key of the command
+     * @returns {Object} Localized command
+     */
+    localizeCommand(def, path) {
+        const command = { ...def };
+        const isContextMenu = CONTEXT_MENU_TYPES.includes(def.type);
+
+        this.localizeField(command, 'name', `${path}.name`, isContextMenu ? 'contextName' : 'name');
+
+        if (!isContextMenu) {
+            this.localizeField(command, 'description', `${path}.description`, 'description');
+        }
+
+        if (Array.isArray(def.options)) {
+            command.options = def.options.map(option => this.localizeOption(option, `${path}.options.${option.name}`));
+        }
+
+        return command;
+    }
+
+    /**
+     * Localizes an option, its subcommand options and its choices
+     * @param {Object} def - Option definition
+     * @param {string} path - Key of the option
+     * @returns {Object} Localized option
+     */
+    localizeOption(def, path) {
+        const option = { ...def };
+
+        this.localizeField(option, 'name', `${path}.name`, 'name');
+        this.localizeField(option, 'description', `${path}.description`, 'description');
+
+        if (Array.isArray(def.options)) {
+            option.options = def.options.map(child => this.localizeOption(child, `${path}.options.${child.name}`));
+        }
+
+        if (Array.isArray(def.choices)) {
+            option.choices = def.choices.map(choice => {
+                const localized = { ...choice };
+                this.localizeField(localized, 'name', `${path}.choices.${choice.value}`, 'choice');
+                return localized;
+            });
+        }
+
+        return option;
+    }
+
+    /**
+     * Fills a field's localizations from every mapped locale
+     * Localizations already in the definition are kept. A missing base value is
+     * taken from the default locale.
+     * @param {Object} target - Command, option or choice
+     * @param {string} field - 'name' or 'description'
+     * @param {string} key - Translation key
+     * @param {string} rule - Text rule (see TEXT_RULES)
+     */
+    localizeField(target, field, key, rule) {
+        if (!target[field] && this.defaultLocale) {
+            const text = this.readText(key, this.defaultLocale, rule, null);
+            if (text) {
+                target[field] = text;
+            }
+        }
+
+        const localizations = {};
+
+        for (const [discordLocale, locale] of this.locales) {
+            const text = this.readText(key, locale, rule, discordLocale);
+            if (text) {
+                localizations[discordLocale] = text;
+            }
+        }
+
+        const merged = { ...localizations, ...(target[`${field}_localizations`] || {}) };
+
+        if (Object.keys(merged).length > 0) {
+            target[`${field}_localizations`] = merged;
+        }
+    }
+
+    /**
+     * Reads a text and checks it against Discord's rules
+     * @param {string} key - Translation key
+     * @param {string} locale - Locale code
+     * @param {string} rule - Text rule
+     * @param {string|null} discordLocale - Discord code the text is for (null for the base value)
+     * @returns {string|null} Valid text or null
+     */
+    readText(key, locale, rule, discordLocale) {
+        let text;
+        try {
+            text = this.getText(key, locale);
+        } catch (error) {
+            this.issues.push({ key, locale, discordLocale, message: error.message });
+            return null;
+        }
+
+        if (!text) return null;
+
+        const error = this.checkText(text, TEXT_RULES[rule]);
+        if (error) {
+            this.issues.push({ key, locale, discordLocale, message: `'${text}' for key '${key}' in locale '${locale}' ${error}` });
+            return null;
+        }
+
+        return text;
+    }
+
+    /**
+     * Checks a text against a Discord rule
+     * @param {string} text - Text
+     * @param {Object} rule - { max, pattern, lowercase }
+     * @returns {string|null} Reason the text is invalid, or null
+     */
+    checkText(text, rule) {
+        if (text.length > rule.max) {
+            return `is longer than ${rule.max} characters`;
+        }
+        if (rule.pattern && !rule.pattern.test(text)) {
+            return 'may only contain letters, numbers, - and _';
+        }
+        if (rule.lowercase && text !== text.toLowerCase()) {
+            return 'must be lowercase';
+        }
+        return null;
+    }
+}
+
+module.exports = CommandLocalizationBuilder;
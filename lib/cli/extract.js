@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const LocaleLoader = require('../loaders/LocaleLoader');
+const LocaleNormalizer = require('../utils/LocaleNormalizer');
+const KeyExtractor = require('../extractors/KeyExtractor');
+
+/**
+ * Extracts $locale, $localeMany and $localeObject keys from source files and compares them with the reference locale
+ * @param {Array} positionals - Files or directories to scan (current directory by default)
+ * @param {Object} options - { locales, reference, write, all-locales, force, json, ignore }
+ * @returns {Promise<number>} Exit code: 1 if used keys are missing in the reference locale (and not written), otherwise 0
+ */
+async function run(positionals, options) {
+    const localeDir = options.locales || './locales';
+
+    if (!fs.existsSync(localeDir)) {
+        throw new Error(`Locale directory ${localeDir} does not exist`);
+    }
+
+    const loader = new LocaleLoader(localeDir, false, { ignore: [].concat(options.ignore || []) });
+    const locales = await loader.readAllLocales();
+    const codes = Object.keys(locales);
+    const reference = options.reference || (locales.en ? 'en' : codes[0]);
+
+    if (!reference || !locales[reference] || locales[reference] instanceof Error) {
+        throw new Error(`Reference locale '${reference}' could not be loaded from ${localeDir}`);
+    }
+
+    const extractor = new KeyExtractor({
+        isLocale: code => LocaleNormalizer.resolve(code, codes) !== null,
+        ignore: [localeDir]
+    }).scan(positionals.length > 0 ? positionals : ['.']);
+
+    const usages = extractor.getUsages();
+    const { missing, unused } = extractor.compare(locales[reference]);
+    const written = options.write
+        ? writeStubs(loader, locales, missing, reference, { allLocales: options['all-locales'], force: options.force })
+        : [];
+    const resolved = new Set(written.filter(stub => stub.locale === reference).map(stub => stub.key));
+
+    if (options.json) {
+        console.log(JSON.stringify({ reference, keys: usages, missing, unused, dynamic: extractor.dynamicUsages, written }, null, 2));
+    } else {
+        printResult(reference, usages, missing, unused, extractor.dynamicUsages, written);
+    }
+
+    return missing.some(usage => !resolved.has(usage.key)) ? 1 : 0;
+}
+
+/**
+ * Adds stubs for missing keys to the reference locale, or to every locale that lacks them
+ * Stubs are source-language text, so other locales only get them with allLocales;
+ * otherwise they would count as translated. Locales stored in formats that can hold
+ * comments are only rewritten with force, since rewriting drops the comments.
+ * @param {LocaleLoader} loader - Loader of the locale directory
+ * @param {Object} locales - Translation data keyed by locale
+ * @param {Array} missing - Missing key usages
+ * @param {string} reference - Reference locale
+ * @param {Object} options - { allLocales, force }
+ * @returns {Array} Written stubs { locale, key, value }
+ */
+function writeStubs(loader, locales, missing, reference, options) {
+    const written = [];
+    const targets = options.allLocales ? Object.keys(locales) : [reference];
+
+    for (const locale of targets) {
+        const data = locales[locale];
+        if (data instanceof Error) continue;
+
+        const stubs = missing.filter(usage => !usage.group && !hasKey(data, usage.key));
+        if (stubs.length === 0) continue;
+
+        const commentFiles = loader.getLocaleFiles(locale).filter(file => path.extname(file) !== '.json');
+        if (commentFiles.length > 0) {
+            const files = commentFiles.map(file => path.relative(process.cwd(), file)).join(', ');
+            if (!options.force) {
+                console.warn(`Not writing stubs to '${locale}': rewriting ${files} would remove comments (use --force to rewrite anyway)`);
+                continue;
+            }
+            console.warn(`Rewriting ${files}: comments in these files are removed`);
+        }
+
+        const added = stubs
+            .filter(usage => setStub(data, usage.key, KeyExtractor.createStub(usage)))
+            .map(usage => ({ locale, key: usage.key, value: KeyExtractor.createStub(usage) }));
+
+        if (added.length > 0) {
+            loader.saveLocale(locale, data);
+            written.push(...added);
+        }
+    }
+
+    return written;
+}
+
+/**
+ * Checks if a dotted key exists in translation data
+ * @param {Object} data - Translation data
+ * @param {string} key - Dotted key
+ * @returns {boolean} Whether the key has a value
+ */
+function hasKey(data, key) {
+    let current = data;
+
+    for (const part of key.split('.')) {
+        if (!current || typeof current !== 'object' || current[part] === undefined) return false;
+        current = current[part];
+    }
+
+    return true;
+}
+
+/**
+ * Sets a dotted key unless it exists or a parent key holds text
+ * @param {Object} data - Translation data
+ * @param {string} key - Dotted key
+ * @param {string} value - Stub text
+ * @returns {boolean} Whether the stub was added
+ */
+function setStub(data, key, value) {
+    const keys = key.split('.');
+    let current = data;
+
+    for (const part of keys.slice(0, -1)) {
+        if (current[part] === undefined) {
+            current[part] = {};
+        } else if (!current[part] || typeof current[part] !== 'object') {
+            console.warn(`Skipping ${key}: '${part}' is not a nested object`);
+            return false;
+        }
+        current = current[part];
+    }
+
+    const last = keys[keys.length - 1];
+    if (current[last] !== undefined) return false;
+
+    current[last] = value;
+    return true;
+}
+
+/**
+ * Prints the extraction report
+ */
+function printResult(reference, usages, missing, unused, dynamic, written) {
+    console.log(`Found ${usages.length} key(s) used in $locale, $localeMany and $localeObject calls`);
+
+    if (missing.length > 0) {
+        console.log(`\nUsed but missing in '${reference}':`);
+        for (const usage of missing) {
+            const params = usage.params.length > 0 ? ` (params: ${usage.params.join(', ')})` : '';
+            const group = usage.group ? ' (group)' : '';
+            console.log(`  ${usage.key}${group}${params}  ${usage.locations.join(', ')}`);
+        }
+    }
+
+    if (unused.length > 0) {
+        console.log(`\nDefined in '${reference}' but never used:`);
+        for (const key of unused) {
+            console.log(`  ${key}`);
+        }
+    }
+
+    if (dynamic.length > 0) {
+        console.log(`\nDynamic keys that could not be checked:`);
+        for (const usage of dynamic) {
+            console.log(`  ${usage.key}  ${usage.location}`);
+        }
+    }
+
+    if (written.length > 0) {
+        console.log(`\nAdded ${written.length} stub(s): ${Array.from(new Set(written.map(stub => stub.locale))).join(', ')}`);
+    }
+}
+
+module.exports = {
+    run,
+    usage: 'extract [paths...] [--locales <dir>] [--reference <locale>] [--write [--all-locales] [--force]] [--json] [--ignore <file>]',
+    description: 'Find $locale, $localeMany and $localeObject keys in source files; --write adds stubs for missing keys to the reference locale',
+    flags: ['write', 'all-locales', 'force', 'json']
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const LocaleLoader = require('../loaders/LocaleLoader');
+const LocaleValidator = require('../validators/LocaleValidator');
+
+/**
+ * Validates the locale files of a directory
+ * @param {Array} positionals - [localeDir]
+ * @param {Object} options - { reference, json, ignore }
+ * @returns {Promise<number>} Exit code: 0 if valid, 1 if issues were found
+ */
+async function run(positionals, options) {
+    const localeDir = positionals[0] || './locales';
+
+    if (!fs.existsSync(localeDir)) {
+        throw new Error(`Locale directory ${localeDir} does not exist`);
+    }
+
+    const loader = new LocaleLoader(localeDir, false, { ignore: [].concat(options.ignore || []) });
+    const locales = await loader.readAllLocales();
+    const reference = options.reference || (locales.en ? 'en' : undefined);
+    const result = new LocaleValidator({ reference }).validate(locales);
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printResult(result);
+    }
+
+    return result.valid ? 0 : 1;
+}
+
+/**
+ * Prints validation issues grouped by locale
+ * @param {Object} result - Validation result
+ */
+function printResult(result) {
+    if (result.valid) {
+        console.log(`✅ ${result.locales.length} locale(s) match the reference locale '${result.reference}'`);
+        return;
+    }
+
+    const byLocale = new Map();
+    for (const issue of result.issues) {
+        const locale = issue.locale || '(none)';
+        if (!byLocale.has(locale)) byLocale.set(locale, []);
+        byLocale.get(locale).push(issue);
+    }
+
+    for (const [locale, issues] of byLocale) {
+        console.log(`\n${locale}${locale === result.reference ? ' (reference)' : ''}`);
+        for (const issue of issues) {
+            console.log(`  ${issue.type.padEnd(12)} ${issue.key ? `${issue.key}: ` : ''}${issue.message}`);
+        }
+    }
+
+    console.log(`\n❌ ${result.issues.length} issue(s) found, compared against '${result.reference}'`);
+}
+
+module.exports = {
+    run,
+    usage: 'validate [localeDir] [--reference <locale>] [--json] [--ignore <file>]',
+    description: 'Compare locales with the reference locale',
+    flags: ['json']
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+class MissingKeyCollector {
+    /**
+     * @param {Object} options - Collector options
+     * @param {string} [options.file] - JSON file the report is dumped to (disabled if omitted)
+     * @param {number} [options.interval=60000] - Dump interval in ms
+     * @param {Function} [options.onMissing] - Called with each recorded entry
+     */
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.file = options.file || null;
+        this.interval = options.interval || 60000;
+        this.onMissing = options.onMissing || null;
+        this.dirty = false;
+        this.timer = null;
+    }
+
+    /**
+     * Records a missing key
+     * @param {string} key - Translation key
+     * @param {string} locale - Requested locale
+     * @param {string|null} usedLocale - Locale the text finally came from (null if none had it)
+     * @returns {Object} Entry { key, locale, usedLocale, count, firstSeen, lastSeen, isNew }
+     */
+    record(key, locale, usedLocale) {
+        const id = `${locale}:${key}`;
+        const now = new Date().toISOString();
+        let entry = this.entries.get(id);
+        const isNew = !entry;
+
+        if (isNew) {
+            entry = { key, locale, usedLocale, count: 0, firstSeen: now, lastSeen: now };
+            this.entries.set(id, entry);
+        }
+
+        entry.usedLocale = usedLocale;
+        entry.count++;
+        entry.lastSeen = now;
+        this.dirty = true;
+
+        const result = { ...entry, isNew };
+        if (this.onMissing) {
+            this.onMissing(result);
+        }
+        return result;
+    }
+
+    /**
+     * Returns recorded entries, most frequent first
+     * @param {string} [locale] - Only entries of this requested locale
+     * @returns {Array} Entries
+     */
+    getEntries(locale) {
+        return Array.from(this.entries.values())
+            .filter(entry => !locale || entry.locale === locale)
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Removes recorded entries
+     * @param {string} [locale] - Only entries of this requested locale
+     */
+    clear(locale) {
+        for (const [id, entry] of this.entries) {
+            if (!locale || entry.locale === locale) {
+                this.entries.delete(id);
+            }
+        }
+        this.dirty = true;
+    }
+
+    /**
+     * Writes the report to the dump file if anything changed since the last dump
+     * @returns {boolean} Whether the file was written
+     */
+    dump() {
+        if (!this.file || !this.dirty) return false;
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                missing: this.getEntries()
+            }, null, 2));
+            this.dirty = false;
+            return true;
+        } catch (error) {
+            console.error(`[aoi.locale] Could not write missing key report ${this.file}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Starts dumping the report periodically
+     */
+    start() {
+        if (!this.file || this.timer) return;
+
+        this.timer = setInterval(() => this.dump(), this.interval);
+        if (typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Stops the periodic dump and writes pending changes
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.dump();
+    }
+}
+
+module.exports = MissingKeyCollector;
@@ -1,61 +1,625 @@
+const path = require('path');
+const EventEmitter = require('events');
 const LocaleLoader = require('../loaders/LocaleLoader');
+const LocaleBackend = require('../backends/LocaleBackend');
+const HttpBackend = require('../backends/HttpBackend');
 const LanguageDetector = require('../detectors/LanguageDetector');
 const TextInterpolator = require('../utils/TextInterpolator');
 const FunctionManager = require('../managers/FunctionManager');
+const LanguageStore = require('../stores/LanguageStore');
+const DiscordLocale = require('../utils/DiscordLocale');
+const MissingKeyCollector = require('../collectors/MissingKeyCollector');
+const MissingTranslation = require('../utils/MissingTranslation');
+const LocaleValidator = require('../validators/LocaleValidator');
+const CommandLocalizationBuilder = require('../builders/CommandLocalizationBuilder');
 
-class AoiLocale {
+const MISSING_KEY_STRATEGIES = ['key', 'throw', 'error'];
+
+const MAX_MISSING_KEY_RESULTS = 1000;
+
+class AoiLocale extends EventEmitter {
     constructor() {
+        super();
         this.loader = null;
         this.detector = null;
         this.functionManager = null;
         this.client = null;
         this.localeDir = './locales';
+        this.messageCache = new Map();
+        this.formatOptions = { formats: {}, pluralRules: new Map() };
+        this.missingKeyResults = new Map();
+        this.missingKeyErrors = new Set();
+        this.fallbacks = {};
+        this.fallbackCache = new Map();
+        this.ready = null;
+        this.missingKeys = new MissingKeyCollector();
+        this.missingKeyHandler = 'key';
     }
 
     /**
      * Integrates the module with aoi.js bot
      * @param {AoiClient} client - aoi.js bot client
      * @param {Object} options - Configuration options
+     * @returns {AoiLocale} This instance; with an async backend, await `ready` before use
      */
     init(client, options = {}) {
         this.client = client;
         this.localeDir = options.localeDir || './locales';
         this.debug = options.debug || false;
+        this.setFallbacks(options.fallbacks);
+        this.setMissingKeyHandler(options.missingKeyHandler || 'key');
+
+        this.formatOptions = {
+            formats: options.formats || {},
+            pluralRules: TextInterpolator.createPluralRules(options.pluralRules)
+        };
         
-        this.loader = new LocaleLoader(this.localeDir, this.debug);
+        const reportFile = options.missingKeysFile ? path.resolve(this.localeDir, options.missingKeysFile) : null;
+        const ignoredFiles = reportFile && path.dirname(reportFile) === path.resolve(this.localeDir)
+            ? [path.basename(reportFile)]
+            : [];
+
+        this.missingKeys.stop();
+        this.missingKeys = new MissingKeyCollector({
+            file: reportFile,
+            interval: options.missingKeysInterval,
+            onMissing: entry => this.emit('missing', entry)
+        });
+        this.missingKeys.start();
+
+        const storeOptions = {
+            defaultLocale: options.defaultLocale,
+            lazy: options.lazy,
+            maxLoadedLocales: options.maxLoadedLocales,
+            aliases: options.aliases,
+            pseudoLocale: options.pseudoLocale
+        };
+
+        if (options.backend) {
+            this.loader = LocaleBackend.from(options.backend);
+            this.loader.configure({ ...storeOptions, debug: this.debug });
+        } else {
+            this.loader = new LocaleLoader(this.localeDir, this.debug, {
+                ...storeOptions,
+                watchDebounce: options.watchDebounce,
+                parsers: options.parsers,
+                format: options.format,
+                ignore: ignoredFiles
+            });
+        }
         this.detector = new LanguageDetector(client, options, this.debug);
         this.functionManager = new FunctionManager(client, this);
 
-        this.loader.loadLocales();
+        const loaded = this.loader.loadLocales();
+
+        if (loaded && typeof loaded.then === 'function') {
+            this.ready = loaded.then(() => {
+                this.validateDefaultLocale();
+                return this;
+            });
+            // Log startup failures even when nobody awaits ready; awaiting callers still get the rejection
+            this.ready.catch(error => console.error(error.message));
+        } else {
+            this.validateDefaultLocale();
+            this.ready = Promise.resolve(this);
+        }
+
+        if (options.watch) {
+            if (typeof this.loader.watch === 'function') {
+                this.loader.watch();
+            } else {
+                console.warn('[aoi.locale] The watch option is only supported by the file system backend');
+            }
+        }
 
         this.functionManager.addLocaleFunction();
+        this.functionManager.addObjectFunctions();
+        this.functionManager.addReloadFunction();
+        this.functionManager.addClearCacheFunction();
+        this.functionManager.addLanguageStoreFunctions();
+        this.functionManager.addStatsFunction();
+        this.functionManager.addFormatFunctions();
 
         return this;
     }
 
     /**
      * Gets text for the specified key
+     * With an async missingKeyHandler, a Promise is returned when the handler runs.
      * @param {string} key - Translation key
      * @param {string} locale - Target language
-     * @param {Array|Object} params - Text parameters
-     * @returns {string} Translated text
+     * @param {Array|Object} params - Text parameters (`count` selects plural forms)
+     * @param {Object} [options] - { defaultText } used instead of missingKeyHandler if the key is missing
+     * @returns {string|MissingTranslation|Promise<string>} Translated text
+     * @throws {Error} If the message has invalid ICU syntax, or the key is missing with missingKeyHandler 'throw'
      */
-    getText(key, locale, params = []) {
-        let text = this.loader.getFromLocale(key, locale);
-        
-        if (!text) {
-            const firstLocale = this.loader.getFirstAvailableLocale();
-            if (firstLocale && firstLocale !== locale) {
-                text = this.loader.getFromLocale(key, firstLocale);
+    getText(key, locale, params = [], options = {}) {
+        const available = this.resolveLocale(locale);
+        const requested = available || locale;
+        let text = null;
+        let textLocale = requested;
+
+        for (const candidate of this.getFallbackChain(requested)) {
+            text = this.loader.getFromLocale(key, candidate);
+            if (text) {
+                textLocale = candidate;
+                break;
             }
         }
         
         if (!text) {
-            console.warn(`[aoi.locale] Key '${key}' not found in any locale`);
-            return key;
+            const entry = this.missingKeys.record(key, requested, null);
+            if (entry.isNew) {
+                console.warn(`[aoi.locale] Key '${key}' not found in any locale (requested: ${requested})`);
+            }
+
+            if (options.defaultText !== undefined && options.defaultText !== null) {
+                return this.formatDefaultText(options.defaultText, params, requested);
+            }
+            return this.handleMissingKey(key, requested, params, null);
+        }
+
+        const message = this.getCompiledMessage(key, textLocale, text);
+        const result = TextInterpolator.format(message, params, textLocale, this.formatOptions);
+
+        if (textLocale !== requested) {
+            if (available) {
+                this.missingKeys.record(key, available, textLocale);
+            }
+            if (typeof this.missingKeyHandler === 'function') {
+                return this.handleMissingKey(key, requested, params, { locale: textLocale, text: result });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Gets every message under a key as a nested object of texts
+     * Messages missing in the requested language come from its fallback chain like in getText.
+     * @param {string} key - Key of a nested group ('help')
+     * @param {string} locale - Target language
+     * @param {Array|Object} params - Text parameters shared by all messages
+     * @returns {Object|null|Promise<Object>} Texts nested like the locale file, or null if key is not a group in any language
+     * @throws {Error} If a message has invalid ICU syntax, or is missing with missingKeyHandler 'throw'
+     */
+    getTextObject(key, locale, params = []) {
+        const requested = this.resolveLocale(locale) || locale;
+        const keys = new Set();
+        let found = false;
+
+        for (const candidate of this.getFallbackChain(requested)) {
+            const groupKeys = this.loader.getGroupKeys(key, candidate);
+            if (groupKeys) {
+                found = true;
+                groupKeys.forEach(groupKey => keys.add(groupKey));
+            }
+        }
+
+        if (!found) return null;
+
+        return this.buildTextObject(Array.from(keys), groupKey => `${key}.${groupKey}`, locale, params);
+    }
+
+    /**
+     * Gets several texts at once
+     * @param {Array} keys - Translation keys
+     * @param {string} locale - Target language
+     * @param {Array|Object} params - Text parameters shared by all messages
+     * @returns {Object|Promise<Object>} Texts nested by their dotted keys ('help.title' → { help: { title } })
+     * @throws {Error} If a message has invalid ICU syntax, or is missing with missingKeyHandler 'throw'
+     */
+    getTexts(keys, locale, params = []) {
+        return this.buildTextObject(keys, key => key, locale, params);
+    }
+
+    /**
+     * Looks up texts and nests them by their dotted keys
+     * Missing texts are kept as MissingTranslation values with missingKeyHandler 'error'.
+     * @param {Array} keys - Dotted keys of the result
+     * @param {Function} toKey - Maps a result key to its translation key
+     * @param {string} locale - Target language
+     * @param {Array|Object} params - Text parameters
+     * @returns {Object|Promise<Object>} Nested texts
+     */
+    buildTextObject(keys, toKey, locale, params) {
+        const texts = keys.map(key => this.getText(toKey(key), locale, params));
+
+        const build = (values) => {
+            const result = {};
+
+            keys.forEach((key, index) => {
+                const path = key.split('.');
+                let current = result;
+
+                for (const part of path.slice(0, -1)) {
+                    if (!current[part] || typeof current[part] !== 'object' || current[part] instanceof MissingTranslation) {
+                        current[part] = {};
+                    }
+                    current = current[part];
+                }
+                current[path[path.length - 1]] = values[index];
+            });
+
+            return result;
+        };
+
+        return texts.some(text => text && typeof text.then === 'function')
+            ? Promise.all(texts).then(build)
+            : build(texts);
+    }
+
+    /**
+     * Sets how getText answers for missing keys
+     * @param {string|Object|Function} handler - 'key', 'throw', 'error', { placeholder } or a function
+     */
+    setMissingKeyHandler(handler) {
+        const valid = typeof handler === 'function'
+            || MISSING_KEY_STRATEGIES.includes(handler)
+            || (handler && typeof handler === 'object' && typeof handler.placeholder === 'string');
+
+        if (!valid) {
+            throw new TypeError(`[aoi.locale] missingKeyHandler must be one of ${MISSING_KEY_STRATEGIES.join(', ')}, { placeholder } or a function`);
+        }
+
+        this.missingKeyHandler = handler;
+        this.missingKeyResults.clear();
+        this.missingKeyErrors.clear();
+    }
+
+    /**
+     * Runs the missing key handler
+     * A function handler is also called when the text came from a fallback locale;
+     * returning null or undefined keeps the fallback text, and so does an error. Its results
+     * are cached per locale, key and text (or parameters) until reload() or setMissingKeyHandler().
+     * @param {string} key - Translation key
+     * @param {string} locale - Requested locale
+     * @param {Array|Object} params - Text parameters
+     * @param {Object|null} fallback - { locale, text } found through the fallback chain
+     * @returns {string|MissingTranslation|Promise<string|MissingTranslation>} Text to use
+     */
+    handleMissingKey(key, locale, params, fallback) {
+        const handler = this.missingKeyHandler;
+        const useDefault = () => fallback ? fallback.text : this.getMissingKeyValue(key, locale);
+
+        if (typeof handler !== 'function') {
+            return useDefault();
+        }
+
+        const finish = (value) => {
+            if (value === undefined || value === null) return useDefault();
+            return value instanceof MissingTranslation ? value : String(value);
+        };
+
+        const cacheKey = `${locale}:${key}:${fallback ? fallback.text : JSON.stringify(params)}`;
+
+        // With a fallback text there is a usable answer, so handler errors only get logged
+        const recover = (error) => {
+            if (!fallback) throw error;
+
+            if (!this.missingKeyErrors.has(cacheKey)) {
+                if (this.missingKeyErrors.size >= MAX_MISSING_KEY_RESULTS) {
+                    this.missingKeyErrors.clear();
+                }
+                this.missingKeyErrors.add(cacheKey);
+                console.error(`[aoi.locale] missingKeyHandler failed for key '${key}' in locale '${locale}': ${error.message}`);
+            }
+            return fallback.text;
+        };
+
+        let value;
+
+        if (this.missingKeyResults.has(cacheKey)) {
+            value = this.missingKeyResults.get(cacheKey);
+        } else {
+            try {
+                value = handler({ key, locale, params, fallback });
+            } catch (error) {
+                return recover(error);
+            }
+
+            if (this.missingKeyResults.size >= MAX_MISSING_KEY_RESULTS) {
+                this.missingKeyResults.clear();
+            }
+            this.missingKeyResults.set(cacheKey, value);
+
+            if (value && typeof value.then === 'function') {
+                value.then(
+                    result => this.missingKeyResults.get(cacheKey) === value && this.missingKeyResults.set(cacheKey, result),
+                    () => this.missingKeyResults.delete(cacheKey)
+                );
+            }
+        }
+
+        return value && typeof value.then === 'function' ? value.then(finish, recover) : finish(value);
+    }
+
+    /**
+     * Gets the value of a missing key for the configured strategy
+     * @param {string} key - Translation key
+     * @param {string} locale - Requested locale
+     * @returns {string|MissingTranslation} Key, placeholder or error marker
+     * @throws {Error} With the 'throw' strategy
+     */
+    getMissingKeyValue(key, locale) {
+        const handler = this.missingKeyHandler;
+
+        if (handler === 'throw') {
+            throw new Error(`[aoi.locale] ${new MissingTranslation(key, locale).message}`);
+        }
+        if (handler === 'error') {
+            return new MissingTranslation(key, locale);
+        }
+        if (handler && typeof handler === 'object') {
+            return handler.placeholder.replace(/\{key\}/g, key).replace(/\{locale\}/g, locale);
+        }
+
+        return key;
+    }
+
+    /**
+     * Formats a per-call default text with the call's parameters
+     * @param {string} text - Default text
+     * @param {Array|Object} params - Text parameters
+     * @param {string} locale - Requested locale
+     * @returns {string} Formatted text (the raw text if it is not a valid message)
+     */
+    formatDefaultText(text, params, locale) {
+        try {
+            return TextInterpolator.interpolate(String(text), params, locale, this.formatOptions);
+        } catch (error) {
+            return String(text);
+        }
+    }
+
+    /**
+     * Returns the keys that were requested but missing, most frequent first
+     * A key found through a fallback locale counts as missing in the requested locale.
+     * @param {string} [locale] - Only keys missing in this locale
+     * @returns {Array} Entries { key, locale, usedLocale, count, firstSeen, lastSeen }
+     */
+    getMissingKeys(locale) {
+        return this.missingKeys.getEntries(locale);
+    }
+
+    /**
+     * Forgets recorded missing keys
+     * @param {string} [locale] - Only keys missing in this locale
+     */
+    clearMissingKeys(locale) {
+        this.missingKeys.clear(locale);
+    }
+
+    /**
+     * Writes the missing key report to missingKeysFile now
+     * @returns {boolean} Whether the file was written
+     */
+    dumpMissingKeys() {
+        return this.missingKeys.dump();
+    }
+
+    /**
+     * Computes how much of the reference locale each locale translates
+     * In lazy mode, locales that are not in memory are read without loading them.
+     * @param {Object} [options] - { reference, locales } (the default locale and all locales if omitted)
+     * @returns {Object|Promise<Object>} Coverage keyed by locale: { locale, keys, total, translated, percentage, missing }
+     * @throws {Error} If the reference locale does not exist
+     */
+    getCoverage(options = {}) {
+        const reference = this.resolveLocale(options.reference || this.getDefaultLocale());
+
+        if (!reference || this.loader.isPseudoLocale(reference)) {
+            throw new Error(`[aoi.locale] Reference locale '${options.reference || this.getDefaultLocale()}' not found`);
+        }
+
+        const locales = (options.locales || this.getAvailableLocales())
+            .map(locale => this.resolveLocale(locale))
+            .filter(locale => locale && !this.loader.isPseudoLocale(locale));
+        const targets = Array.from(new Set([reference, ...locales]));
+        const keyLists = targets.map(locale => this.loader.getMessageKeys(locale));
+
+        const build = (values) => {
+            const keysByLocale = new Map(targets.map((locale, index) => [locale, values[index]]));
+            const referenceKeys = keysByLocale.get(reference);
+            const total = referenceKeys.length;
+            const coverage = {};
+
+            for (const locale of locales) {
+                const keys = new Set(keysByLocale.get(locale));
+                const missing = referenceKeys.filter(key => !keys.has(key));
+                const translated = total - missing.length;
+
+                coverage[locale] = {
+                    locale,
+                    keys: keys.size,
+                    total,
+                    translated,
+                    percentage: total > 0 ? Math.floor(translated / total * 100) : 100,
+                    missing
+                };
+            }
+
+            return coverage;
+        };
+
+        return keyLists.some(keys => keys && typeof keys.then === 'function')
+            ? Promise.all(keyLists).then(build)
+            : build(keyLists);
+    }
+
+    /**
+     * Checks every locale of the backend against the reference locale
+     * @param {Object} [options] - { reference } (the default locale if omitted)
+     * @returns {Promise<Object>} { valid, reference, locales, issues }
+     */
+    async validate(options = {}) {
+        await this.ready;
+
+        const locales = await this.loader.readAllLocales();
+        const validator = new LocaleValidator({ reference: options.reference || this.getDefaultLocale() });
+
+        return validator.validate(locales);
+    }
+
+    /**
+     * Adds name_localizations and description_localizations to application commands
+     * Our locales are mapped to Discord's locale codes like interaction locales
+     * (see discordLocaleMap). Texts that break Discord's length or charset rules
+     * are left out with a warning.
+     * @param {Array} commandDefs - Application command definitions
+     * @param {Object} [options] - { keyPrefix = 'commands', discordLocaleMap }
+     * @returns {Promise<Array>} Command definitions ready for registration
+     */
+    async buildCommandLocalizations(commandDefs, options = {}) {
+        await this.ready;
+
+        const builder = new CommandLocalizationBuilder({
+            keyPrefix: options.keyPrefix,
+            discordLocaleMap: options.discordLocaleMap || this.detector.discordLocaleMap
+        });
+        const locales = this.loader.getAvailableLocales().filter(locale => !this.loader.isPseudoLocale(locale));
+        const texts = new Map();
+
+        for (const locale of locales) {
+            try {
+                texts.set(locale, await this.loader.getGroupMessages(builder.keyPrefix, locale));
+            } catch (error) {
+                console.error(`[aoi.locale] ${error.message}`);
+                texts.set(locale, {});
+            }
+        }
+
+        const commands = builder.build(commandDefs, locales, this.getDefaultLocale(), (key, locale) => {
+            const text = texts.get(locale)[key];
+            return text ? TextInterpolator.format(this.getCompiledMessage(key, locale, text), [], locale, this.formatOptions) : null;
+        });
+
+        for (const issue of builder.issues) {
+            console.warn(`[aoi.locale] Skipped command localization: ${issue.message}`);
+        }
+
+        return commands;
+    }
+
+    /**
+     * Sets the fallback chains used by getText
+     * @param {Object|Array|string} fallbacks - Fallbacks keyed by locale (and 'default'), or the default chain
+     */
+    setFallbacks(fallbacks) {
+        if (!fallbacks) {
+            fallbacks = {};
+        } else if (typeof fallbacks === 'string' || Array.isArray(fallbacks)) {
+            fallbacks = { default: fallbacks };
+        }
+
+        this.fallbacks = {};
+        for (const [locale, chain] of Object.entries(fallbacks)) {
+            this.fallbacks[locale] = Array.isArray(chain) ? chain : [chain];
+        }
+        this.fallbackCache.clear();
+    }
+
+    /**
+     * Builds the ordered list of locales to try for a locale
+     * The locale itself comes first, followed by its configured fallbacks and
+     * its region-stripped parents (en-GB → en), then the 'default' chain and
+     * finally the default locale.
+     * @param {string} locale - Requested language code
+     * @returns {Array} Locale chain
+     */
+    getFallbackChain(locale) {
+        const cacheKey = locale || '';
+        let chain = this.fallbackCache.get(cacheKey);
+
+        if (!chain) {
+            chain = [];
+
+            const visit = (code) => {
+                if (!code || chain.includes(code)) return;
+                chain.push(code);
+
+                for (const fallback of this.fallbacks[code] || []) {
+                    visit(fallback);
+                }
+
+                const separator = Math.max(code.lastIndexOf('-'), code.lastIndexOf('_'));
+                if (separator > 0) {
+                    visit(code.slice(0, separator));
+                }
+            };
+
+            visit(locale);
+            for (const fallback of this.fallbacks.default || []) {
+                visit(fallback);
+            }
+
+            this.fallbackCache.set(cacheKey, chain);
+        }
+
+        const defaultLocale = this.loader.getDefaultLocale();
+        if (defaultLocale && !chain.includes(defaultLocale)) {
+            return [...chain, defaultLocale];
         }
 
-        return TextInterpolator.interpolate(text, params);
+        return chain;
+    }
+
+    /**
+     * Gets parsed message nodes for a key, cached per locale and key
+     * @param {string} key - Translation key
+     * @param {string} locale - Language code the text belongs to
+     * @param {string|Object} text - Raw text or plural forms object
+     * @returns {Array} Message nodes
+     * @throws {Error} If the message has invalid ICU syntax
+     */
+    getCompiledMessage(key, locale, text) {
+        const cacheKey = `${locale}:${key}`;
+        const cached = this.messageCache.get(cacheKey);
+
+        if (cached && cached.source === text) {
+            return cached.nodes;
+        }
+
+        let nodes;
+        try {
+            nodes = TextInterpolator.compile(text);
+        } catch (error) {
+            throw new Error(`[aoi.locale] Invalid message for key '${key}' in locale '${locale}': ${error.message}`);
+        }
+
+        this.messageCache.set(cacheKey, { source: text, nodes });
+        return nodes;
+    }
+
+    /**
+     * Reloads all locales from the backend
+     * @returns {Array|Promise<Array>} Available locale list
+     */
+    reload() {
+        this.missingKeyResults.clear();
+        this.missingKeyErrors.clear();
+        return this.loader.reloadLocales();
+    }
+
+    /**
+     * Makes sure a locale is loaded (lazy mode and async backends)
+     * @param {string} locale - Language code
+     * @returns {Promise<boolean>} Whether the locale is loaded
+     */
+    async ensureLocale(locale) {
+        return await this.loader.ensureLocale(this.resolveLocale(locale) || locale);
+    }
+
+    /**
+     * Saves a locale through the backend and updates the loaded data
+     * @param {string} locale - Language code
+     * @param {Object} data - Translation data
+     * @returns {Promise<void>}
+     * @throws {Error} If the backend does not support saving
+     */
+    async saveLocale(locale, data) {
+        await this.loader.saveLocale(locale, data);
+        this.loader.addLocale(locale, data);
     }
 
     /**
@@ -64,15 +628,157 @@ class AoiLocale {
      * @returns {Promise<string|null>} Detected language or null
      */
     async detectUserLanguage(d) {
-        return await this.detector.detectUserLanguage(d, this.loader);
+        const { locale } = await this.resolveLanguage(d);
+        return locale;
+    }
+
+    /**
+     * Runs the language resolution pipeline
+     * @param {Object} d - aoi.js data object
+     * @returns {Promise<Object>} { locale, step, errors } where step is the resolver that matched
+     */
+    async resolveLanguage(d) {
+        const result = await this.detector.resolveLanguage(d, this.loader);
+
+        if (result.locale) {
+            await this.loader.ensureLocale(result.locale);
+        }
+
+        return result;
     }
 
     /**
-     * Returns the first available locale
-     * @returns {string} First available locale
+     * Registers a language resolver step
+     * @param {string} name - Step name to use in resolutionOrder
+     * @param {Function} resolver - (d, context) => language, may return a Promise
+     */
+    registerResolver(name, resolver) {
+        this.detector.registerResolver(name, resolver);
+    }
+
+    /**
+     * Sets the order of the language resolver steps
+     * @param {Array} order - Step names, e.g. ['channel', 'user', 'guild', 'default']
+     */
+    setResolutionOrder(order) {
+        this.detector.setResolutionOrder(order);
+    }
+
+    /**
+     * Checks that the configured default locale was loaded
+     * @throws {Error} If the default locale does not exist
+     */
+    validateDefaultLocale() {
+        const defaultLocale = this.loader.defaultLocale;
+
+        if (defaultLocale && !this.loader.hasLocale(defaultLocale)) {
+            const available = this.loader.getAvailableLocales().join(', ') || 'none';
+            const source = this.loader instanceof LocaleLoader ? this.localeDir : 'the locale backend';
+            throw new Error(`[aoi.locale] Default locale '${defaultLocale}' not found in ${source} (available: ${available})`);
+        }
+    }
+
+    /**
+     * Clears cached detected languages for a user, guild or channel
+     * @param {string} [id] - User, guild or channel ID (omit to clear the whole cache)
+     */
+    invalidateLanguage(id) {
+        this.detector.invalidateLanguage(id);
+    }
+
+    /**
+     * Stores a user's language in the aoi.js database
+     * @param {string} userId - User ID
+     * @param {string} locale - Language code
+     * @param {string} [guildId] - Guild ID (ignored with userScope 'global')
+     * @returns {Promise<void>}
+     * @throws {Error} If the locale does not exist
+     */
+    async setUserLanguage(userId, locale, guildId) {
+        await this.detector.store.setUserLanguage(userId, this.assertLocale(locale), guildId);
+    }
+
+    /**
+     * Reads a user's stored language from the aoi.js database
+     * @param {string} userId - User ID
+     * @param {string} [guildId] - Guild ID (ignored with userScope 'global')
+     * @returns {Promise<string|null>} Language code or null if not set
+     */
+    getUserLanguage(userId, guildId) {
+        return this.detector.store.getUserLanguage(userId, guildId);
+    }
+
+    /**
+     * Stores a guild's language in the aoi.js database
+     * @param {string} guildId - Guild ID
+     * @param {string} locale - Language code
+     * @returns {Promise<void>}
+     * @throws {Error} If the locale does not exist
+     */
+    async setGuildLanguage(guildId, locale) {
+        await this.detector.store.setGuildLanguage(guildId, this.assertLocale(locale));
+    }
+
+    /**
+     * Reads a guild's stored language from the aoi.js database
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string|null>} Language code or null if not set
+     */
+    getGuildLanguage(guildId) {
+        return this.detector.store.getGuildLanguage(guildId);
+    }
+
+    /**
+     * Stores a channel's language override in the aoi.js database
+     * @param {string} channelId - Channel ID
+     * @param {string} locale - Language code
+     * @returns {Promise<void>}
+     * @throws {Error} If the locale does not exist
+     */
+    async setChannelLanguage(channelId, locale) {
+        await this.detector.store.setChannelLanguage(channelId, this.assertLocale(locale));
+    }
+
+    /**
+     * Reads a channel's language override from the aoi.js database
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<string|null>} Language code or null if not set
+     */
+    getChannelLanguage(channelId) {
+        return this.detector.store.getChannelLanguage(channelId);
+    }
+
+    /**
+     * Checks that a locale exists before storing it
+     * @param {string} locale - Language code or alias
+     * @returns {string} Available locale code
+     * @throws {Error} If the locale does not exist
+     */
+    assertLocale(locale) {
+        const resolved = this.resolveLocale(locale);
+
+        if (!resolved) {
+            const available = this.loader.getAvailableLocales().join(', ') || 'none';
+            throw new Error(`[aoi.locale] Locale '${locale}' not found (available: ${available})`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Returns the default locale
+     * @returns {string} Default locale
      */
     getLocale() {
-        return this.loader.getFirstAvailableLocale();
+        return this.loader.getDefaultLocale();
+    }
+
+    /**
+     * Gets the default locale (defaultLocale option, or the first available one)
+     * @returns {string|null} Default locale or null
+     */
+    getDefaultLocale() {
+        return this.loader.getDefaultLocale();
     }
 
     /**
@@ -113,13 +819,30 @@ class AoiLocale {
     }
 
     /**
-     * Checks if a locale exists
-     * @param {string} locale - Language code
+     * Checks if a locale exists, ignoring case, '_' vs '-', aliases and region variants
+     * @param {string} locale - Language code or alias
      * @returns {boolean} Whether locale exists
      */
     hasLocale(locale) {
         return this.loader.hasLocale(locale);
     }
+
+    /**
+     * Finds the available locale for a user-supplied code ('TR', 'en_US', 'english')
+     * @param {string} locale - Language code or alias
+     * @returns {string|null} Available locale code or null
+     */
+    resolveLocale(locale) {
+        return this.loader.resolveLocale(locale);
+    }
 }
 
+AoiLocale.LocaleBackend = LocaleBackend;
+AoiLocale.HttpBackend = HttpBackend;
+AoiLocale.LanguageStore = LanguageStore;
+AoiLocale.DiscordLocale = DiscordLocale;
+AoiLocale.MissingTranslation = MissingTranslation;
+AoiLocale.LocaleValidator = LocaleValidator;
+AoiLocale.CommandLocalizationBuilder = CommandLocalizationBuilder;
+
 module.exports = AoiLocale;
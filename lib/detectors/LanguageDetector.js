@@ -1,87 +1,431 @@
+const TTLCache = require('../utils/TTLCache');
+const LanguageStore = require('../stores/LanguageStore');
+const DiscordLocale = require('../utils/DiscordLocale');
+
+const BUILTIN_RESOLVERS = {
+    user: 'resolveUser',
+    channel: 'resolveChannel',
+    role: 'resolveRole',
+    guild: 'resolveGuild',
+    interaction: 'resolveInteraction',
+    default: 'resolveDefault'
+};
+
 class LanguageDetector {
     constructor(client, options = {}, debug = false) {
         this.client = client;
-        this.languageSource = options.languageSource || 'getUserVar[language;{userId}]';
-        this.guildLanguageSource = options.guildLanguageSource || 'getServerVar[language;{guildId}]';
+        this.store = options.languageStore instanceof LanguageStore
+            ? options.languageStore
+            : new LanguageStore(client, options.languageStore || {});
+        this.languageSource = options.languageSource || null;
+        this.guildLanguageSource = options.guildLanguageSource || null;
         this.customLanguageFunction = options.customLanguageFunction || null;
         this.fallbackToGuildLanguage = options.fallbackToGuildLanguage !== false;
+        this.interactionLocale = options.interactionLocale || false;
+        this.discordLocaleMap = options.discordLocaleMap || {};
+        this.roleLanguages = options.roleLanguages || {};
+        this.resolverTimeout = options.resolverTimeout || 5000;
+        this.resolvers = new Map();
+        this.warnedSteps = new Set();
         this.debug = debug;
+        this.cache = options.languageCache === false ? null : new TTLCache(options.languageCacheTTL || 60000);
+        this.languageVariables = this.getSourceVariables();
+
+        for (const [name, resolver] of Object.entries(options.resolvers || {})) {
+            this.registerResolver(name, resolver);
+        }
+
+        if (options.resolutionOrder) {
+            this.setResolutionOrder(options.resolutionOrder);
+        } else {
+            this.resolutionOrder = this.getDefaultOrder();
+        }
+
+        if (this.cache) {
+            this.hookDatabase();
+        }
     }
 
     /**
-     * Detects user's preferred language from various sources
-     * @param {Object} d - aoi.js data object
-     * @param {Object} locales - Available locales instance
-     * @returns {Promise<string|null>} Detected language or null
+     * Gets the variable names holding languages (store variable and source templates)
+     * @returns {Array} Variable names
      */
-    async detectUserLanguage(d, locales) {
-        try {
-            if (this.debug) {
-                console.log(`[aoi.locale] Starting language detection for user: ${d.author?.id}`);
+    getSourceVariables() {
+        const variables = new Set([this.store.variable]);
+
+        for (const source of [this.languageSource, this.guildLanguageSource]) {
+            const match = source && /get\w*Var\[([^;\]]+)/.exec(source);
+            if (match) {
+                variables.add(match[1].trim());
             }
-            
-            if (this.customLanguageFunction && typeof this.customLanguageFunction === 'function') {
-                if (this.debug) {
-                    console.log(`[aoi.locale] Trying custom language function...`);
-                }
-                const customLang = this.customLanguageFunction(d);
-                if (customLang && locales.hasLocale(customLang)) {
-                    if (this.debug) {
-                        console.log(`[aoi.locale] Custom function returned: ${customLang}`);
-                    }
-                    return customLang;
-                }
-                if (this.debug) {
-                    console.log(`[aoi.locale] Custom function returned: ${customLang} (not valid or null)`);
+        }
+
+        return Array.from(variables);
+    }
+
+    /**
+     * Invalidates cached languages when the bot writes a language variable
+     */
+    hookDatabase() {
+        const db = this.client && this.client.db;
+        if (!db || typeof db.set !== 'function' || this.languageVariables.length === 0) return;
+
+        const wrap = (method) => {
+            if (typeof db[method] !== 'function') return;
+
+            const original = db[method].bind(db);
+            db[method] = (...args) => {
+                const [, key, id] = args;
+
+                if (this.languageVariables.includes(key) && id !== undefined) {
+                    this.invalidateLanguage(String(id));
                 }
+
+                return original(...args);
+            };
+        };
+
+        wrap('set');
+        wrap('delete');
+    }
+
+    /**
+     * Removes cached languages for a user or guild, or all of them
+     * @param {string} [id] - User, guild or variable ID (omit to clear the whole cache)
+     */
+    invalidateLanguage(id) {
+        if (!this.cache) return;
+
+        if (id === undefined || id === null || id === '') {
+            this.cache.clear();
+            return;
+        }
+
+        const ids = String(id).split('_');
+
+        for (const cacheKey of this.cache.keys()) {
+            const cachedIds = cacheKey.slice(cacheKey.indexOf(':') + 1).split('_');
+
+            if (ids.every(part => cachedIds.includes(part))) {
+                this.cache.delete(cacheKey);
             }
+        }
 
-            if (this.languageSource) {
-                if (this.debug) {
-                    console.log(`[aoi.locale] Trying user language source: ${this.languageSource}`);
-                }
-                const userLang = await this.executeLanguageSource(this.languageSource, d);
-                if (this.debug) {
-                    console.log(`[aoi.locale] User language source returned: ${userLang}`);
-                }
-                if (userLang && locales.hasLocale(userLang)) {
-                    if (this.debug) {
-                        console.log(`[aoi.locale] ✅ Using user language: ${userLang}`);
-                    }
-                    return userLang;
-                }
-                if (this.debug) {
-                    console.log(`[aoi.locale] User language not valid or not found in locales`);
-                }
+        if (this.debug) {
+            console.log(`[aoi.locale] Cleared cached language for ${id}`);
+        }
+    }
+
+    /**
+     * Runs a language source, sharing the result for the same user or guild until it expires
+     * @param {string} scope - 'user' or 'guild'
+     * @param {string} id - User or guild ID
+     * @param {Function} resolve - Function returning the language
+     * @returns {Promise<string|null>} Language code or null
+     */
+    async getCachedLanguage(scope, id, resolve) {
+        if (!this.cache || !id) {
+            return await resolve();
+        }
+
+        const cacheKey = `${scope}:${id}`;
+        if (this.cache.has(cacheKey)) {
+            if (this.debug) {
+                console.log(`[aoi.locale] Using cached ${scope} language for ${id}`);
             }
+            return await this.cache.get(cacheKey);
+        }
 
-            if (this.fallbackToGuildLanguage && this.guildLanguageSource) {
-                if (this.debug) {
-                    console.log(`[aoi.locale] Trying guild language source: ${this.guildLanguageSource}`);
-                }
-                const guildLang = await this.executeLanguageSource(this.guildLanguageSource, d);
-                if (this.debug) {
-                    console.log(`[aoi.locale] Guild language source returned: ${guildLang}`);
+        const pending = Promise.resolve().then(resolve);
+        this.cache.set(cacheKey, pending);
+
+        try {
+            return await pending;
+        } catch (error) {
+            this.cache.delete(cacheKey);
+            throw error;
+        }
+    }
+
+    /**
+     * Builds the default resolution order from the legacy options
+     * @returns {Array} Resolver step names
+     */
+    getDefaultOrder() {
+        return [
+            'custom',
+            'channel',
+            'user',
+            'role',
+            ...(this.interactionLocale ? ['interaction'] : []),
+            ...(this.fallbackToGuildLanguage ? ['guild'] : []),
+            'default'
+        ];
+    }
+
+    /**
+     * Sets the order in which resolver steps run
+     * @param {Array} order - Step names (built-in or registered)
+     */
+    setResolutionOrder(order) {
+        if (!Array.isArray(order) || order.length === 0) {
+            throw new TypeError('[aoi.locale] resolutionOrder must be a non-empty array of resolver names');
+        }
+
+        this.resolutionOrder = order.slice();
+    }
+
+    /**
+     * Registers a resolver step; it still has to be listed in resolutionOrder
+     * @param {string} name - Step name
+     * @param {Function} resolver - (d, context) => language, may return a Promise
+     */
+    registerResolver(name, resolver) {
+        if (typeof resolver !== 'function') {
+            throw new TypeError(`[aoi.locale] Resolver '${name}' must be a function`);
+        }
+        if (BUILTIN_RESOLVERS[name] || name === 'custom') {
+            throw new Error(`[aoi.locale] '${name}' is a built-in resolver and cannot be replaced`);
+        }
+
+        this.resolvers.set(name, resolver);
+    }
+
+    /**
+     * Gets the function running a resolver step
+     * 'custom' runs customLanguageFunction; registered resolvers and the custom
+     * function are user code and run through runCustomResolver.
+     * @param {string} name - Step name
+     * @returns {Object|null} { run: (d, locales) => language, custom }, or null if unknown
+     */
+    getResolver(name) {
+        if (BUILTIN_RESOLVERS[name]) {
+            return { run: (d, locales) => this[BUILTIN_RESOLVERS[name]](d, locales), custom: false };
+        }
+
+        const resolver = name === 'custom' ? this.customLanguageFunction : this.resolvers.get(name);
+
+        if (typeof resolver !== 'function') {
+            return name === 'custom' ? { run: () => null, custom: true } : null;
+        }
+
+        return { run: (d, locales) => this.runCustomResolver(resolver, d, locales), custom: true };
+    }
+
+    /**
+     * Builds the context object passed to custom resolvers
+     * @param {Object} d - aoi.js data object
+     * @param {Object} locales - Available locales instance
+     * @returns {Object} { userId, guildId, channelId, roles, locales, d }
+     */
+    getResolverContext(d, locales) {
+        const member = d.member || d.data?.member;
+        const roles = member?.roles?.cache;
+
+        return {
+            userId: d.author?.id || d.data?.author?.id || null,
+            guildId: d.guild?.id || d.data?.guild?.id || null,
+            channelId: d.channel?.id || d.data?.channel?.id || null,
+            roles: roles ? Array.from(roles.keys()) : [],
+            locales: locales.getAvailableLocales(),
+            d
+        };
+    }
+
+    /**
+     * Runs a custom resolver, awaiting its result for at most resolverTimeout ms
+     * @param {Function} resolver - (d, context) => language, may return a Promise
+     * @param {Object} d - aoi.js data object
+     * @param {Object} locales - Available locales instance
+     * @returns {Promise<string|null>} Language code or null
+     */
+    runCustomResolver(resolver, d, locales) {
+        const context = this.getResolverContext(d, locales);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`timed out after ${this.resolverTimeout}ms`));
+            }, this.resolverTimeout);
+
+            Promise.resolve()
+                .then(() => resolver(d, context))
+                .then(resolve, reject)
+                .finally(() => clearTimeout(timer));
+        });
+    }
+
+    /**
+     * Runs the resolver steps in order and reports the first one that matched
+     * @param {Object} d - aoi.js data object
+     * @param {Object} locales - Available locales instance
+     * @returns {Promise<Object>} { locale, step, errors }; locale and step are null if no step matched
+     */
+    async resolveLanguage(d, locales) {
+        if (this.debug) {
+            console.log(`[aoi.locale] Starting language detection for user: ${d.author?.id}`);
+        }
+
+        const errors = [];
+
+        for (const step of this.resolutionOrder) {
+            const resolver = this.getResolver(step);
+
+            if (!resolver) {
+                if (!this.warnedSteps.has(step)) {
+                    this.warnedSteps.add(step);
+                    console.warn(`[aoi.locale] Unknown language resolver '${step}' skipped`);
                 }
-                if (guildLang && locales.hasLocale(guildLang)) {
-                    if (this.debug) {
-                        console.log(`[aoi.locale] ✅ Using guild language: ${guildLang}`);
-                    }
-                    return guildLang;
+                continue;
+            }
+
+            let locale;
+            try {
+                locale = await resolver.run(d, locales);
+            } catch (error) {
+                errors.push({ step, custom: resolver.custom, error });
+
+                if (resolver.custom) {
+                    console.error(`[aoi.locale] Custom language resolver '${step}' failed: ${error.message}`);
+                } else {
+                    console.warn(`[aoi.locale] Error in ${step} language resolver: ${error.message}`);
                 }
+                continue;
+            }
+
+            if (this.debug) {
+                console.log(`[aoi.locale] ${step} resolver returned: ${locale}`);
+            }
+
+            const resolved = locale ? locales.resolveLocale(locale) : null;
+
+            if (resolved) {
                 if (this.debug) {
-                    console.log(`[aoi.locale] Guild language not valid or not found in locales`);
+                    console.log(`[aoi.locale] ✅ Using ${step} language: ${resolved}`);
                 }
+                return { locale: resolved, step, errors };
             }
+        }
 
-            if (this.debug) {
-                console.log(`[aoi.locale] ❌ No language detected, will use first available: ${locales.getFirstAvailableLocale()}`);
+        if (this.debug) {
+            console.log(`[aoi.locale] ❌ No language detected, will use default: ${locales.getDefaultLocale()}`);
+        }
+        return { locale: null, step: null, errors };
+    }
+
+    /**
+     * Detects user's preferred language from various sources
+     * @param {Object} d - aoi.js data object
+     * @param {Object} locales - Available locales instance
+     * @returns {Promise<string|null>} Detected language or null
+     */
+    async detectUserLanguage(d, locales) {
+        const { locale } = await this.resolveLanguage(d, locales);
+        return locale;
+    }
+
+    /**
+     * Reads the user's language (source template or database)
+     * @param {Object} d - aoi.js data object
+     * @returns {Promise<string|null>} Language code or null
+     */
+    async resolveUser(d) {
+        const userId = d.author?.id || d.data?.author?.id;
+        const guildId = d.guild?.id || d.data?.guild?.id;
+        if (!userId) return null;
+
+        return this.getCachedLanguage('user', this.store.getUserKey(userId, guildId), () => this.languageSource
+            ? this.executeLanguageSource(this.languageSource, d)
+            : this.store.getUserLanguage(userId, guildId));
+    }
+
+    /**
+     * Reads the channel's language override from the database
+     * @param {Object} d - aoi.js data object
+     * @returns {Promise<string|null>} Language code or null
+     */
+    async resolveChannel(d) {
+        const channelId = d.channel?.id || d.data?.channel?.id;
+        if (!channelId) return null;
+
+        return this.getCachedLanguage('channel', channelId, () => this.store.getChannelLanguage(channelId));
+    }
+
+    /**
+     * Picks the language of the member's highest role listed in roleLanguages
+     * @param {Object} d - aoi.js data object
+     * @returns {string|null} Language code or null
+     */
+    resolveRole(d) {
+        if (Object.keys(this.roleLanguages).length === 0) return null;
+
+        const member = d.member || d.data?.member;
+        const roles = member?.roles?.cache;
+        if (!roles) return null;
+
+        const matched = Array.from(roles.values())
+            .filter(role => this.roleLanguages[role.id])
+            .sort((a, b) => (b.position || 0) - (a.position || 0));
+
+        return matched.length > 0 ? this.roleLanguages[matched[0].id] : null;
+    }
+
+    /**
+     * Maps the Discord client language of an interaction when interactionLocale is enabled
+     * @param {Object} d - aoi.js data object
+     * @param {Object} locales - Available locales instance
+     * @returns {string|null} Language code or null
+     */
+    resolveInteraction(d, locales) {
+        if (!this.interactionLocale) return null;
+
+        const discordLocales = DiscordLocale.fromData(d);
+        return discordLocales ? this.mapDiscordLocale(discordLocales.locale, locales) : null;
+    }
+
+    /**
+     * Reads the guild's language (source template or database), then the
+     * interaction's guild locale when interactionLocale is enabled
+     * @param {Object} d - aoi.js data object
+     * @param {Object} locales - Available locales instance
+     * @returns {Promise<string|null>} Language code or null
+     */
+    async resolveGuild(d, locales) {
+        const guildId = d.guild?.id || d.data?.guild?.id;
+
+        if (guildId) {
+            const guildLang = await this.getCachedLanguage('guild', guildId, () => this.guildLanguageSource
+                ? this.executeLanguageSource(this.guildLanguageSource, d)
+                : this.store.getGuildLanguage(guildId));
+
+            if (guildLang && locales.hasLocale(guildLang)) {
+                return guildLang;
             }
-            return null;
-        } catch (error) {
-            console.warn(`[aoi.locale] Error detecting user language: ${error.message}`);
-            return null;
         }
+
+        const discordLocales = this.interactionLocale ? DiscordLocale.fromData(d) : null;
+        return discordLocales && discordLocales.guildLocale
+            ? this.mapDiscordLocale(discordLocales.guildLocale, locales)
+            : null;
+    }
+
+    /**
+     * Returns the default locale
+     * @param {Object} d - aoi.js data object
+     * @param {Object} locales - Available locales instance
+     * @returns {string|null} Default locale
+     */
+    resolveDefault(d, locales) {
+        return locales.getDefaultLocale();
+    }
+
+    /**
+     * Maps a Discord locale code onto an available locale
+     * @param {string} discordLocale - Discord locale code (e.g. 'en-US')
+     * @param {Object} locales - Available locales instance
+     * @returns {string|null} Matching locale or null
+     */
+    mapDiscordLocale(discordLocale, locales) {
+        return DiscordLocale.resolve(discordLocale, locales.getAvailableLocales(), this.discordLocaleMap);
     }
 
     /**
@@ -100,93 +444,46 @@ class LanguageDetector {
                 .replace(/\{guildId\}/g, guildId)
                 .replace(/\{channelId\}/g, d.channel?.id || '');
 
-            try {
-                const Interpreter = require('aoi.js/src/core/interpreter');
-                
-                const mockMessage = {
-                    author: d.author || { id: userId },
-                    guild: d.guild || { id: guildId },
-                    channel: d.channel || { id: d.channel?.id },
-                    member: d.member || null,
-                    mentions: d.mentions || { users: new Map(), roles: new Map(), channels: new Map() },
-                    message: d.message || d
-                };
-
-                const commandObj = {
-                    name: 'temp_locale_getter',
-                    code: command,
-                    type: 'basic'
-                };
-
-                const result = await Interpreter(
-                    this.client,
-                    mockMessage,
-                    [],
-                    commandObj,
-                    null,
-                    true,
-                    null,
-                    {},
-                    null,
-                    false,
-                    false,
-                    false,
-                    false
-                );
-
-                if (result && result.code) {
-                    let value = result.code;
-                    value = value.replace(/\{[^}]*\}/g, '');
-                    value = value.trim();
-                    
-                    if (value !== command && value && value !== 'undefined' && value !== 'null' && value !== '' && value !== ' ') {
-                        return value;
-                    }
-                }
+            const Interpreter = require('aoi.js/src/core/interpreter');
+            
+            const mockMessage = {
+                author: d.author || { id: userId },
+                guild: d.guild || { id: guildId },
+                channel: d.channel || { id: d.channel?.id },
+                member: d.member || null,
+                mentions: d.mentions || { users: new Map(), roles: new Map(), channels: new Map() },
+                message: d.message || d
+            };
 
-            } catch (interpreterError) {
-                if (command.includes('getUserVar[')) {
-                    const match = command.match(/getUserVar\[([^;]+);([^\]]+)\]/);
-                    if (match) {
-                        const varName = match[1];
-                        const targetUserId = match[2];
-                        
-                        if (this.client.db && this.client.db.tables) {
-                            const table = this.client.db.tables.find(t => t.name === '__aoijs_vars__');
-                            if (table && table.all) {
-                                try {
-                                    const dbResult = table.all(`SELECT value FROM \`${varName}\` WHERE userID = ?`, [targetUserId]);
-                                    if (dbResult && dbResult.length > 0 && dbResult[0].value) {
-                                        return dbResult[0].value;
-                                    }
-                                } catch (dbError) {
-                                    console.error(`[aoi.locale] Fallback DB error: ${dbError.message}`);
-                                }
-                            }
-                        }
-                    }
-                }
+            const commandObj = {
+                name: 'temp_locale_getter',
+                code: command,
+                type: 'basic'
+            };
+
+            const result = await Interpreter(
+                this.client,
+                mockMessage,
+                [],
+                commandObj,
+                null,
+                true,
+                null,
+                {},
+                null,
+                false,
+                false,
+                false,
+                false
+            );
 
-                if (command.includes('getServerVar[')) {
-                    const match = command.match(/getServerVar\[([^;]+);([^\]]+)\]/);
-                    if (match) {
-                        const varName = match[1];
-                        const targetGuildId = match[2];
-                        
-                        if (this.client.db && this.client.db.tables) {
-                            const table = this.client.db.tables.find(t => t.name === 'main');
-                            if (table && table.all) {
-                                try {
-                                    const dbResult = table.all(`SELECT value FROM \`${varName}\` WHERE guildID = ?`, [targetGuildId]);
-                                    if (dbResult && dbResult.length > 0 && dbResult[0].value) {
-                                        return dbResult[0].value;
-                                    }
-                                } catch (dbError) {
-                                    console.error(`[aoi.locale] Fallback server DB error: ${dbError.message}`);
-                                }
-                            }
-                        }
-                    }
+            if (result && result.code) {
+                let value = result.code;
+                value = value.replace(/\{[^}]*\}/g, '');
+                value = value.trim();
+                
+                if (value !== command && value && value !== 'undefined' && value !== 'null' && value !== '' && value !== ' ') {
+                    return value;
                 }
             }
 
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const TextInterpolator = require('../utils/TextInterpolator');
+
+const SOURCE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.ts', '.aoi'];
+
+const IGNORED_DIRS = ['node_modules'];
+
+class KeyExtractor {
+    /**
+     * @param {Object} options - Extractor options
+     * @param {Function} [options.isLocale] - Checks if a call argument names a locale (see parseArguments)
+     * @param {Array} [options.ignore] - Paths to skip while scanning
+     */
+    constructor(options = {}) {
+        this.isLocale = options.isLocale || null;
+        this.ignore = (options.ignore || []).map(ignored => path.resolve(ignored));
+        this.usages = new Map();
+        this.groupUsages = new Map();
+        this.dynamicUsages = [];
+    }
+
+    /**
+     * Scans files and directories for $locale, $localeMany and $localeObject calls
+     * @param {Array} paths - Files or directories
+     * @returns {KeyExtractor} This extractor
+     */
+    scan(paths) {
+        for (const target of paths) {
+            const resolved = path.resolve(target);
+            if (this.ignore.includes(resolved)) continue;
+
+            const stat = fs.statSync(resolved);
+
+            if (stat.isDirectory()) {
+                const entries = fs.readdirSync(resolved, { withFileTypes: true })
+                    .filter(entry => !entry.name.startsWith('.') && !IGNORED_DIRS.includes(entry.name))
+                    .filter(entry => entry.isDirectory() || SOURCE_EXTENSIONS.includes(path.extname(entry.name)));
+
+                this.scan(entries.map(entry => path.join(resolved, entry.name)));
+            } else {
+                this.extract(fs.readFileSync(resolved, 'utf8'), path.relative(process.cwd(), resolved));
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Records the $locale, $localeMany and $localeObject calls of a source text
+     * @param {string} source - File content (JS command files or .aoi code)
+     * @param {string} file - File name used in reports
+     */
+    extract(source, file) {
+        const pattern = /\$locale(Many|Object)?\[/g;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            const start = match.index + match[0].length;
+            const end = this.findClosingBracket(source, start);
+            if (end === -1) continue;
+
+            const location = `${file}:${source.slice(0, match.index).split('\n').length}`;
+            const args = this.splitArguments(source.slice(start, end)).map(arg => arg.trim());
+
+            if (match[1] === 'Many') {
+                const isLocale = this.isLocale || (code => /^[a-z]{2,3}$/i.test(code));
+                const keys = args.filter(arg => arg && !arg.includes(':') && !arg.includes('|') && !isLocale(arg));
+                const { params } = TextInterpolator.parseArguments(args.filter(arg => !keys.includes(arg)), this.isLocale);
+
+                keys.forEach(key => this.addUsage(this.usages, key, params, location));
+            } else {
+                const [key, ...rest] = args;
+                const { params } = TextInterpolator.parseArguments(rest, this.isLocale);
+
+                this.addUsage(match[1] === 'Object' ? this.groupUsages : this.usages, key, params, location);
+            }
+        }
+    }
+
+    /**
+     * Records one key used by a call
+     * @param {Map} usages - Usage map (message keys or group keys)
+     * @param {string} key - Translation key
+     * @param {Object} params - Parameters passed by the call
+     * @param {string} location - file:line of the call
+     */
+    addUsage(usages, key, params, location) {
+        if (!key) return;
+
+        if (key.includes('$')) {
+            this.dynamicUsages.push({ key, location });
+            return;
+        }
+
+        const usage = usages.get(key) || { key, params: new Set(), locations: [], defaultText: null, group: usages === this.groupUsages };
+
+        for (const name of Object.keys(params)) {
+            if (name === 'default') {
+                usage.defaultText = usage.defaultText || params.default;
+            } else {
+                usage.params.add(name);
+            }
+        }
+
+        usage.locations.push(location);
+        usages.set(key, usage);
+    }
+
+    /**
+     * Finds the bracket closing a function call, skipping nested calls
+     * @param {string} source - Source text
+     * @param {number} start - Index after the opening bracket
+     * @returns {number} Index of the closing bracket or -1
+     */
+    findClosingBracket(source, start) {
+        let depth = 1;
+
+        for (let i = start; i < source.length; i++) {
+            if (source[i] === '[') depth++;
+            if (source[i] === ']' && --depth === 0) return i;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Splits call arguments on semicolons outside nested calls
+     * @param {string} inside - Text between the call brackets
+     * @returns {Array} Arguments
+     */
+    splitArguments(inside) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of inside) {
+            if (char === '[') depth++;
+            if (char === ']') depth--;
+
+            if (char === ';' && depth === 0) {
+                args.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        args.push(current);
+        return args;
+    }
+
+    /**
+     * Returns the extracted keys
+     * Keys of $localeObject calls are groups of messages and have `group` set.
+     * @returns {Array} Usages { key, params, locations, defaultText, group } sorted by key
+     */
+    getUsages() {
+        return [...this.usages.values(), ...this.groupUsages.values()]
+            .map(usage => ({ ...usage, params: Array.from(usage.params).sort() }))
+            .sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Compares the extracted keys with the keys of a locale
+     * @param {Object} data - Translation data of the reference locale
+     * @returns {Object} { missing, unused } - used keys without text (groups without any message) and defined keys never used
+     */
+    compare(data) {
+        const defined = new Set();
+
+        const visit = (value, keys) => {
+            if (typeof value === 'string' || TextInterpolator.isPluralObject(value)) {
+                defined.add(keys.join('.'));
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                for (const [key, child] of Object.entries(value)) {
+                    visit(child, [...keys, key]);
+                }
+            }
+        };
+        visit(data, []);
+
+        const isInGroup = (key, group) => key.startsWith(`${group}.`);
+        const groups = Array.from(this.groupUsages.keys());
+
+        return {
+            missing: this.getUsages().filter(usage => usage.group
+                ? !Array.from(defined).some(key => isInGroup(key, usage.key))
+                : !defined.has(usage.key)),
+            unused: Array.from(defined)
+                .filter(key => !this.usages.has(key) && !groups.some(group => isInGroup(key, group)))
+                .sort()
+        };
+    }
+
+    /**
+     * Builds the stub text for a missing key
+     * @param {Object} usage - Key usage
+     * @returns {string} The call's default text, or the key with its placeholders
+     */
+    static createStub(usage) {
+        if (usage.defaultText) return usage.defaultText;
+
+        return [usage.key, ...usage.params.map(name => `{${name}}`)].join(' ');
+    }
+}
+
+module.exports = KeyExtractor;
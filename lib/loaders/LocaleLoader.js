@@ -1,15 +1,40 @@
 const fs = require('fs');
 const path = require('path');
+const LocaleBackend = require('../backends/LocaleBackend');
+const ParserRegistry = require('../parsers/ParserRegistry');
+const TextInterpolator = require('../utils/TextInterpolator');
 
-class LocaleLoader {
-    constructor(localeDir = './locales', debug = false) {
+const isGroup = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !TextInterpolator.isPluralObject(value);
+
+const setPath = (data, keys, value) => {
+    let current = data;
+    for (const key of keys.slice(0, -1)) {
+        if (!isGroup(current[key])) {
+            current[key] = {};
+        }
+        current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+};
+
+class LocaleLoader extends LocaleBackend {
+    constructor(localeDir = './locales', debug = false, options = {}) {
+        super({ ...options, debug });
         this.localeDir = localeDir;
-        this.locales = new Map();
-        this.debug = debug;
+        this.localeSources = new Map();
+        this.namespaceOrigins = new Map();
+        this.keyOrigins = new Map();
+        this.parsers = new ParserRegistry(options.parsers);
+        this.format = options.format || 'json';
+        this.watchDebounce = options.watchDebounce || 250;
+        this.ignoredFiles = new Set(options.ignore || []);
+        this.watchers = new Map();
+        this.reloadTimer = null;
     }
 
     /**
      * Loads all language files from the locale directory
+     * @returns {Array} Available locale list
      */
     loadLocales() {
         try {
@@ -17,20 +42,7 @@ class LocaleLoader {
                 fs.mkdirSync(this.localeDir, { recursive: true });
             }
 
-            const files = fs.readdirSync(this.localeDir);
-            const jsonFiles = files.filter(file => file.endsWith('.json'));
-
-            for (const file of jsonFiles) {
-                const locale = path.basename(file, '.json');
-                const filePath = path.join(this.localeDir, file);
-                
-                try {
-                    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                    this.locales.set(locale, data);
-                } catch (error) {
-                    console.error(`[aoi.locale] Error loading ${file}: ${error.message}`);
-                }
-            }
+            super.loadLocales();
 
             if (this.locales.size === 0) {
                 console.warn('[aoi.locale] No locale files found. Creating example files...');
@@ -39,105 +51,481 @@ class LocaleLoader {
         } catch (error) {
             console.error(`[aoi.locale] Error loading locale files: ${error.message}`);
         }
+
+        return this.getAvailableLocales();
     }
 
     /**
-     * Creates example locale files from module's examples directory
+     * Reads the locale directory and refreshes directory watchers
      */
-    createExampleLocales() {
-        try {
-            const examplesDir = path.join(__dirname, '..', '..', 'examples');
-            
-            if (!fs.existsSync(examplesDir)) {
-                console.warn('[aoi.locale] Module examples directory not found.');
+    readLocales() {
+        super.readLocales();
+
+        if (this.watchers.size > 0) {
+            this.syncWatchers();
+        }
+    }
+
+    /**
+     * Lists locale codes found in the locale directory
+     * @returns {Array} Locale codes
+     */
+    listLocales() {
+        this.localeSources = this.scanLocales();
+        return Array.from(this.localeSources.keys());
+    }
+
+    /**
+     * Loads a locale from its flat file and namespace directory
+     * @param {string} locale - Language code
+     * @returns {Object} Translation data
+     */
+    loadLocale(locale) {
+        const source = this.localeSources.get(locale);
+        if (!source) {
+            throw new Error(`Locale '${locale}' not found in ${this.localeDir}`);
+        }
+
+        const { data, origins, keyOrigins } = this.loadLocaleSource(source);
+        this.namespaceOrigins.set(locale, origins);
+        this.keyOrigins.set(locale, keyOrigins);
+        return data;
+    }
+
+    /**
+     * Writes a locale back to its files in the configured format
+     * Each message goes back to the file it was loaded from; new messages go to
+     * the namespace file they fall under, or to the flat file.
+     * @param {string} locale - Language code
+     * @param {Object} data - Translation data
+     */
+    saveLocale(locale, data) {
+        const source = this.localeSources.get(locale) || { file: null, dir: null };
+        const origins = this.namespaceOrigins.get(locale) || new Map();
+        const keyOrigins = this.keyOrigins.get(locale) || new Map();
+        const depths = new Map(Array.from(origins, ([namespace, file]) => [file, namespace.split('.').length]));
+        const files = new Map();
+        const remaining = {};
+
+        const visit = (value, keys) => {
+            if (isGroup(value) && Object.keys(value).length > 0) {
+                for (const [key, child] of Object.entries(value)) {
+                    visit(child, [...keys, key]);
+                }
                 return;
             }
 
-            const exampleFiles = fs.readdirSync(examplesDir).filter(file => file.endsWith('.json'));
-            
-            if (exampleFiles.length === 0) {
-                console.warn('[aoi.locale] No example files found in module examples directory.');
+            const file = keyOrigins.get(keys.join('.')) || this.findOrigin(origins, keys);
+            if (!file || !depths.has(file)) {
+                setPath(remaining, keys, value);
                 return;
             }
 
-            for (const file of exampleFiles) {
-                const examplePath = path.join(examplesDir, file);
-                const targetPath = path.join(this.localeDir, file);
-                
-                try {
-                    const content = JSON.parse(fs.readFileSync(examplePath, 'utf8'));
-                    fs.writeFileSync(targetPath, JSON.stringify(content, null, 4));
-                    const locale = path.basename(file, '.json');
-                    this.locales.set(locale, content);
-                    if (this.debug) {
-                        console.log(`[aoi.locale] Example ${locale} file created from module examples`);
-                    }
-                } catch (error) {
-                    console.error(`[aoi.locale] Error copying example file ${file}: ${error.message}`);
-                }
+            if (!files.has(file)) {
+                files.set(file, {});
             }
-        } catch (error) {
-            console.error(`[aoi.locale] Error creating example locales: ${error.message}`);
+            setPath(files.get(file), keys.slice(depths.get(file)), value);
+        };
+
+        for (const [key, value] of Object.entries(JSON.parse(JSON.stringify(data)))) {
+            visit(value, [key]);
+        }
+
+        for (const [file, fileData] of files) {
+            this.writeLocaleFile(file, fileData);
+        }
+
+        if (source.file || Object.keys(remaining).length > 0 || !source.dir) {
+            const extension = this.parsers.normalizeExtension(this.format);
+            const filePath = source.file || path.join(this.localeDir, locale + extension);
+            this.writeLocaleFile(filePath, remaining);
+            source.file = filePath;
         }
+
+        this.localeSources.set(locale, source);
+        this.backendLocales.add(locale);
     }
 
     /**
-     * Gets text for key from specified locale
-     * @param {string} key - Translation key
+     * Lists the files a locale was loaded from
      * @param {string} locale - Language code
-     * @returns {string|null} Text or null
+     * @returns {Array} Flat file and namespace file paths
      */
-    getFromLocale(key, locale) {
-        const localeData = this.locales.get(locale);
-        if (!localeData) return null;
+    getLocaleFiles(locale) {
+        const source = this.localeSources.get(locale) || { file: null };
+        const origins = this.namespaceOrigins.get(locale) || new Map();
+
+        return [source.file, ...origins.values()].filter(Boolean);
+    }
+
+    /**
+     * Serializes data with the parser registered for a file's extension
+     * @param {string} filePath - File path
+     * @param {Object} data - Translation data
+     */
+    writeLocaleFile(filePath, data) {
+        const parser = this.parsers.getForFile(filePath);
+        if (!parser || typeof parser.stringify !== 'function') {
+            throw new Error(`Cannot write ${this.relativePath(filePath)}: no stringify function registered for ${path.extname(filePath)} files`);
+        }
+
+        fs.writeFileSync(filePath, parser.stringify(data));
+    }
+
+    /**
+     * Finds locale files (en.json) and namespace directories (en/economy.json)
+     * @returns {Map} Sources keyed by locale: { file, dir }
+     */
+    scanLocales() {
+        const sources = new Map();
+
+        const getSource = (locale) => {
+            if (!sources.has(locale)) {
+                sources.set(locale, { file: null, dir: null });
+            }
+            return sources.get(locale);
+        };
+
+        for (const entry of fs.readdirSync(this.localeDir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.') || this.ignoredFiles.has(entry.name)) continue;
+
+            const entryPath = path.join(this.localeDir, entry.name);
+
+            if (entry.isDirectory()) {
+                getSource(entry.name).dir = entryPath;
+                continue;
+            }
 
-        const keys = key.split('.');
-        let current = localeData;
+            if (!this.parsers.getExtension(entry.name)) continue;
 
-        for (const k of keys) {
-            if (current && typeof current === 'object' && k in current) {
-                current = current[k];
-            } else {
-                return null;
+            const locale = path.basename(entry.name, path.extname(entry.name));
+            const source = getSource(locale);
+
+            if (source.file) {
+                console.warn(`[aoi.locale] Both ${this.relativePath(source.file)} and ${entry.name} define locale '${locale}', ignoring ${entry.name}`);
+                continue;
             }
+            source.file = entryPath;
         }
 
-        return typeof current === 'string' ? current : null;
+        return sources;
     }
 
     /**
-     * Gets the first available locale from loaded locales
-     * @returns {string|null} First locale or null
+     * Reads a locale source's flat file and namespace directory
+     * Namespace files are merged under their name (en/economy.json → economy.*).
+     * @param {Object} source - Locale source { file, dir }
+     * @returns {Object} { data, origins, keyOrigins } - translation data, the file of each
+     * namespace and the file each message came from
      */
-    getFirstAvailableLocale() {
-        const locales = Array.from(this.locales.keys());
-        return locales.length > 0 ? locales[0] : null;
+    loadLocaleSource(source) {
+        const data = source.file ? this.readLocaleFile(source.file) : {};
+        const origins = new Map();
+        const keyOrigins = new Map();
+
+        if (source.dir) {
+            if (source.file) {
+                this.recordKeyOrigins(data, [], source.file, keyOrigins);
+            }
+            this.readNamespaceDir(source.dir, [], data, { origins, keyOrigins, flatFile: source.file });
+        }
+
+        return { data, origins, keyOrigins };
     }
 
     /**
-     * Returns all loaded locales
-     * @returns {Array} Locale list
+     * Reads namespace files of a locale directory into translation data
+     * @param {string} dir - Directory path
+     * @param {Array} prefix - Namespace keys of the directory
+     * @param {Object} data - Translation data to merge into
+     * @param {Object} sources - { origins, keyOrigins, flatFile } (see loadLocaleSource)
      */
-    getAvailableLocales() {
-        return Array.from(this.locales.keys());
+    readNamespaceDir(dir, prefix, data, sources) {
+        const namespaceFiles = new Map();
+
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+
+            const entryPath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                this.readNamespaceDir(entryPath, [...prefix, entry.name], data, sources);
+                continue;
+            }
+
+            if (!this.parsers.getExtension(entry.name)) continue;
+
+            const namespace = path.basename(entry.name, path.extname(entry.name));
+
+            if (namespaceFiles.has(namespace)) {
+                console.warn(`[aoi.locale] Both ${this.relativePath(namespaceFiles.get(namespace))} and ${this.relativePath(entryPath)} define namespace '${[...prefix, namespace].join('.')}', ignoring ${this.relativePath(entryPath)}`);
+                continue;
+            }
+            namespaceFiles.set(namespace, entryPath);
+
+            this.mergeNamespace(data, [...prefix, namespace], this.readLocaleFile(entryPath), entryPath, sources);
+        }
     }
 
     /**
-     * Adds a new locale
-     * @param {string} locale - Language code
+     * Deep-merges namespace data under its key path
+     * Keys defined in both files take the namespace file's value, with one warning per key.
      * @param {Object} data - Translation data
+     * @param {Array} keys - Namespace key path
+     * @param {Object} value - Namespace data
+     * @param {string} filePath - Namespace file path
+     * @param {Object} sources - { origins, keyOrigins, flatFile } (see loadLocaleSource)
      */
-    addLocale(locale, data) {
-        this.locales.set(locale, data);
+    mergeNamespace(data, keys, value, filePath, sources) {
+        const { origins, keyOrigins, flatFile } = sources;
+
+        const warn = (key) => {
+            const origin = keyOrigins.get(key) || flatFile;
+            console.warn(`[aoi.locale] Key '${key}' is defined in both ${origin ? this.relativePath(origin) : 'another file'} and ${this.relativePath(filePath)}, using ${this.relativePath(filePath)}`);
+        };
+
+        const merge = (target, source, path) => {
+            for (const [key, child] of Object.entries(source)) {
+                const childPath = [...path, key];
+
+                if (isGroup(child) && isGroup(target[key])) {
+                    merge(target[key], child, childPath);
+                    continue;
+                }
+
+                if (target[key] !== undefined) {
+                    warn(childPath.join('.'));
+                }
+                target[key] = child;
+                this.recordKeyOrigins(child, childPath, filePath, keyOrigins);
+            }
+        };
+
+        let target = data;
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+
+            if (!isGroup(target[key])) {
+                if (target[key] !== undefined) {
+                    warn(keys.slice(0, i + 1).join('.'));
+                }
+                target[key] = {};
+            }
+            target = target[key];
+        }
+
+        merge(target, value, keys);
+        origins.set(keys.join('.'), filePath);
     }
 
     /**
-     * Checks if a locale exists
-     * @param {string} locale - Language code
-     * @returns {boolean} Whether locale exists
+     * Records the file of every message in a value
+     * @param {*} value - Translation data or message
+     * @param {Array} keys - Key path of the value
+     * @param {string} filePath - File the value was read from
+     * @param {Map} keyOrigins - File of each message key
+     */
+    recordKeyOrigins(value, keys, filePath, keyOrigins) {
+        if (isGroup(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                this.recordKeyOrigins(child, [...keys, key], filePath, keyOrigins);
+            }
+        } else if (keys.length > 0) {
+            keyOrigins.set(keys.join('.'), filePath);
+        }
+    }
+
+    /**
+     * Finds the file that set the closest parent of a key path
+     * @param {Map} origins - File that set each namespace key
+     * @param {Array} keys - Key path
+     * @returns {string|null} File path or null
+     */
+    findOrigin(origins, keys) {
+        for (let i = keys.length; i > 0; i--) {
+            const origin = origins.get(keys.slice(0, i).join('.'));
+            if (origin) return origin;
+        }
+        return null;
+    }
+
+    /**
+     * Reads and parses a locale file with the parser registered for its extension
+     * @param {string} filePath - File path
+     * @returns {Object} Translation data
+     */
+    readLocaleFile(filePath) {
+        const parser = this.parsers.getForFile(filePath);
+        if (!parser) {
+            throw new Error(`No parser registered for ${path.extname(filePath)} files`);
+        }
+
+        let data;
+        try {
+            data = parser.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Error loading ${this.relativePath(filePath)}: ${error.message}`);
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`Error loading ${this.relativePath(filePath)}: Locale file must contain an object`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Gets a path relative to the locale directory for messages
+     * @param {string} filePath - File path
+     * @returns {string} Relative path
+     */
+    relativePath(filePath) {
+        return path.relative(this.localeDir, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Watches the locale directory (and namespace directories) and reloads on changes
+     */
+    watch() {
+        if (this.watchers.size > 0) return;
+
+        this.syncWatchers();
+
+        if (this.debug) {
+            console.log(`[aoi.locale] Watching ${this.localeDir} for changes`);
+        }
+    }
+
+    /**
+     * Starts watchers for new directories and closes those of removed ones
+     */
+    syncWatchers() {
+        const dirs = [this.localeDir];
+
+        const collect = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                    const entryPath = path.join(dir, entry.name);
+                    dirs.push(entryPath);
+                    collect(entryPath);
+                }
+            }
+        };
+
+        try {
+            collect(this.localeDir);
+        } catch (error) {
+            console.error(`[aoi.locale] Could not scan ${this.localeDir}: ${error.message}`);
+        }
+
+        for (const [dir, watcher] of this.watchers) {
+            if (!dirs.includes(dir)) {
+                watcher.close();
+                this.watchers.delete(dir);
+            }
+        }
+
+        for (const dir of dirs) {
+            if (this.watchers.has(dir)) continue;
+
+            try {
+                const watcher = fs.watch(dir, (eventType, filename) => {
+                    if (filename && path.extname(filename) && !this.parsers.getExtension(filename)) return;
+                    if (filename && dir === this.localeDir && this.ignoredFiles.has(filename)) return;
+                    this.scheduleReload();
+                });
+
+                watcher.on('error', (error) => {
+                    console.error(`[aoi.locale] Locale watcher error: ${error.message}`);
+                });
+
+                this.watchers.set(dir, watcher);
+            } catch (error) {
+                console.error(`[aoi.locale] Could not watch ${dir}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Stops watching the locale directory
+     */
+    unwatch() {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = null;
+        }
+
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+    }
+
+    /**
+     * Debounces reloads triggered by file system events
      */
-    hasLocale(locale) {
-        return this.locales.has(locale);
+    scheduleReload() {
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+        }
+
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = null;
+            this.reloadLocales();
+        }, this.watchDebounce);
+    }
+
+    /**
+     * Creates example locale files from module's examples directory
+     * Files are written in the configured format (json, yaml, json5, properties...).
+     */
+    createExampleLocales() {
+        try {
+            const examplesDir = path.join(__dirname, '..', '..', 'examples');
+            
+            if (!fs.existsSync(examplesDir)) {
+                console.warn('[aoi.locale] Module examples directory not found.');
+                return;
+            }
+
+            const exampleFiles = fs.readdirSync(examplesDir).filter(file => file.endsWith('.json'));
+            
+            if (exampleFiles.length === 0) {
+                console.warn('[aoi.locale] No example files found in module examples directory.');
+                return;
+            }
+
+            const extension = this.parsers.normalizeExtension(this.format);
+            const parser = this.parsers.get(extension);
+
+            if (!parser || typeof parser.stringify !== 'function') {
+                console.warn(`[aoi.locale] Format '${this.format}' cannot be written, creating example files as JSON`);
+            }
+
+            const writer = parser && typeof parser.stringify === 'function' ? parser : this.parsers.get('.json');
+            const targetExtension = writer === parser ? extension : '.json';
+
+            for (const file of exampleFiles) {
+                const examplePath = path.join(examplesDir, file);
+                const locale = path.basename(file, '.json');
+                const targetPath = path.join(this.localeDir, locale + targetExtension);
+                
+                try {
+                    const content = JSON.parse(fs.readFileSync(examplePath, 'utf8'));
+                    fs.writeFileSync(targetPath, writer.stringify(content));
+                    this.locales.set(locale, content);
+                    this.localeSources.set(locale, { file: targetPath, dir: null });
+                    this.backendLocales.add(locale);
+                    if (this.debug) {
+                        console.log(`[aoi.locale] Example ${locale} file created from module examples`);
+                    }
+                } catch (error) {
+                    console.error(`[aoi.locale] Error copying example file ${file}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            console.error(`[aoi.locale] Error creating example locales: ${error.message}`);
+        }
     }
 }
 
@@ -1,4 +1,6 @@
 const TextInterpolator = require('../utils/TextInterpolator');
+const MissingTranslation = require('../utils/MissingTranslation');
+const ValueFormatter = require('../utils/ValueFormatter');
 
 class FunctionManager {
     constructor(client, aoiLocale) {
@@ -24,21 +26,30 @@ class FunctionManager {
                     return d.aoiError.fnError(d, 'custom', {}, 'Key not specified in $locale function');
                 }
 
+                try {
+                    await this.aoiLocale.ready;
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
                 const trimmedKey = key.trim();
-                const { locale: forcedLocale, params, forceLocale } = TextInterpolator.parseArguments(args);
+                const { locale: forcedLocale, params, forceLocale } = TextInterpolator.parseArguments(args, code => this.aoiLocale.hasLocale(code));
                 
-                let locale = forcedLocale;
+                const locale = await this.getCallLocale(d, forcedLocale, forceLocale);
                 
-                if (!forceLocale) {
-                    locale = await this.aoiLocale.detectUserLanguage(d);
+                const { default: defaultText, ...textParams } = params;
+
+                let text;
+                try {
+                    text = await this.aoiLocale.getText(trimmedKey, locale, textParams, { defaultText });
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
                 }
-                
-                if (!locale) {
-                    locale = this.aoiLocale.getFirstAvailableLocale();
+
+                if (text instanceof MissingTranslation) {
+                    return d.aoiError.fnError(d, 'custom', {}, text.message);
                 }
                 
-                const text = this.aoiLocale.getText(trimmedKey, locale, params);
-                
                 data.result = text;
                 return {
                     code: d.util.setCode(data)
@@ -46,6 +57,401 @@ class FunctionManager {
             }
         });
     }
+
+    /**
+     * Adds the $localeObject and $localeMany functions to aoi.js
+     * Both return JSON for $jsonParse, $createObject and $getObjectProperty.
+     */
+    addObjectFunctions() {
+        this.client.functionManager.createFunction({
+            name: '$localeObject',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                if (data.err) return d.error(data.err);
+
+                const [key = '', ...args] = data.inside.splits;
+
+                if (!key.trim()) {
+                    return d.aoiError.fnError(d, 'custom', {}, 'Key not specified in $localeObject function');
+                }
+
+                try {
+                    await this.aoiLocale.ready;
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                const { locale: forcedLocale, params, forceLocale } = TextInterpolator.parseArguments(args, code => this.aoiLocale.hasLocale(code));
+                const locale = await this.getCallLocale(d, forcedLocale, forceLocale);
+
+                let texts;
+                try {
+                    texts = await this.aoiLocale.getTextObject(key.trim(), locale, params);
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                if (!texts) {
+                    return d.aoiError.fnError(d, 'custom', {}, `Key '${key.trim()}' is not a group of messages in any locale`);
+                }
+
+                return this.setJsonResult(d, data, texts);
+            }
+        });
+
+        this.client.functionManager.createFunction({
+            name: '$localeMany',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                if (data.err) return d.error(data.err);
+
+                const isLocale = code => this.aoiLocale.hasLocale(code);
+                const args = data.inside.splits.map(split => split.trim()).filter(Boolean);
+                const keys = args.filter(arg => !arg.includes(':') && !arg.includes('|') && !isLocale(arg));
+
+                if (keys.length === 0) {
+                    return d.aoiError.fnError(d, 'custom', {}, 'Keys not specified in $localeMany function');
+                }
+
+                try {
+                    await this.aoiLocale.ready;
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                const { locale: forcedLocale, params, forceLocale } = TextInterpolator.parseArguments(
+                    args.filter(arg => !keys.includes(arg)),
+                    isLocale
+                );
+                const locale = await this.getCallLocale(d, forcedLocale, forceLocale);
+
+                let texts;
+                try {
+                    texts = await this.aoiLocale.getTexts(keys, locale, params);
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                return this.setJsonResult(d, data, texts);
+            }
+        });
+    }
+
+    /**
+     * Gets the language of a function call: the forced one, the detected one or the default
+     * @param {Object} d - aoi.js data object
+     * @param {string|null} forcedLocale - Language given in the call
+     * @param {boolean} forceLocale - Whether the call gives a language
+     * @returns {Promise<string>} Language code, loaded if lazy loading is enabled
+     */
+    async getCallLocale(d, forcedLocale, forceLocale) {
+        let locale = forceLocale ? this.aoiLocale.resolveLocale(forcedLocale) || forcedLocale : null;
+
+        if (!forceLocale) {
+            locale = await this.aoiLocale.detectUserLanguage(d);
+        }
+
+        if (!locale) {
+            locale = this.aoiLocale.getDefaultLocale();
+        }
+
+        await this.aoiLocale.ensureLocale(locale);
+        return locale;
+    }
+
+    /**
+     * Sets a function result to a text object as JSON
+     * Missing texts with missingKeyHandler 'error' fail the call like in $locale.
+     * @param {Object} d - aoi.js data object
+     * @param {Object} data - Function data from aoiFunc
+     * @param {Object} texts - Nested texts
+     * @returns {Object} Function result
+     */
+    setJsonResult(d, data, texts) {
+        const missing = [];
+
+        const json = JSON.stringify(texts, (key, value) => {
+            if (value instanceof MissingTranslation) {
+                missing.push(value);
+                return undefined;
+            }
+            return value;
+        });
+
+        if (missing.length > 0) {
+            return d.aoiError.fnError(d, 'custom', {}, missing[0].message);
+        }
+
+        data.result = json;
+        return {
+            code: d.util.setCode(data)
+        };
+    }
+
+    /**
+     * Adds the $reloadLocales function to aoi.js
+     */
+    addReloadFunction() {
+        this.client.functionManager.createFunction({
+            name: '$reloadLocales',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+
+                try {
+                    await this.aoiLocale.reload();
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, `Failed to reload locales: ${error.message}`);
+                }
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+    }
+
+    /**
+     * Adds the $clearLocaleCache function to aoi.js
+     */
+    addClearCacheFunction() {
+        this.client.functionManager.createFunction({
+            name: '$clearLocaleCache',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                const [id] = (data.inside && data.inside.splits) || [];
+
+                this.aoiLocale.invalidateLanguage(id ? id.trim() : undefined);
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+    }
+
+    /**
+     * Adds the $setUserLocale, $setGuildLocale, $setChannelLocale and $getUserLocale functions to aoi.js
+     */
+    addLanguageStoreFunctions() {
+        this.client.functionManager.createFunction({
+            name: '$setUserLocale',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                if (data.err) return d.error(data.err);
+
+                const [lang, userArg, guildArg] = data.inside.splits.map(split => split.trim());
+                const userId = userArg || d.author?.id;
+                const guildId = guildArg || d.guild?.id;
+
+                if (!userId) {
+                    return d.aoiError.fnError(d, 'custom', {}, 'User ID not specified in $setUserLocale function');
+                }
+
+                try {
+                    await this.aoiLocale.ready;
+                    await this.aoiLocale.setUserLanguage(userId, lang, guildId);
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+
+        this.client.functionManager.createFunction({
+            name: '$setGuildLocale',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                if (data.err) return d.error(data.err);
+
+                const [lang, guildArg] = data.inside.splits.map(split => split.trim());
+                const guildId = guildArg || d.guild?.id;
+
+                if (!guildId) {
+                    return d.aoiError.fnError(d, 'custom', {}, 'Guild ID not specified in $setGuildLocale function');
+                }
+
+                try {
+                    await this.aoiLocale.ready;
+                    await this.aoiLocale.setGuildLanguage(guildId, lang);
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+
+        this.client.functionManager.createFunction({
+            name: '$setChannelLocale',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                if (data.err) return d.error(data.err);
+
+                const [lang, channelArg] = data.inside.splits.map(split => split.trim());
+                const channelId = channelArg || d.channel?.id;
+
+                if (!channelId) {
+                    return d.aoiError.fnError(d, 'custom', {}, 'Channel ID not specified in $setChannelLocale function');
+                }
+
+                try {
+                    await this.aoiLocale.ready;
+                    await this.aoiLocale.setChannelLanguage(channelId, lang);
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+
+        this.client.functionManager.createFunction({
+            name: '$getUserLocale',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                const [userId] = ((data.inside && data.inside.splits) || []).map(split => split.trim());
+
+                data.result = await this.aoiLocale.getUserLanguage(userId || d.author?.id, d.guild?.id) || '';
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+    }
+
+    /**
+     * Adds the $localeStats function to aoi.js
+     */
+    addStatsFunction() {
+        this.client.functionManager.createFunction({
+            name: '$localeStats',
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                const [lang = '', format = ''] = (data.inside && data.inside.splits) || [];
+
+                try {
+                    await this.aoiLocale.ready;
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                const options = {};
+
+                if (lang.trim()) {
+                    const locale = this.aoiLocale.resolveLocale(lang.trim());
+                    if (!locale) {
+                        return d.aoiError.fnError(d, 'custom', {}, `Locale '${lang.trim()}' not found in $localeStats function`);
+                    }
+                    options.locales = [locale];
+                }
+
+                let coverage;
+                try {
+                    coverage = await this.aoiLocale.getCoverage(options);
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                const template = format.trim() || '{name} — {percentage}%';
+
+                try {
+                    data.result = Object.values(coverage)
+                        .map(stats => TextInterpolator.interpolate(template, {
+                            ...stats,
+                            name: ValueFormatter.formatLanguageName(stats.locale),
+                            missing: stats.missing.length
+                        }, stats.locale, this.aoiLocale.formatOptions))
+                        .join('\n');
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, `Invalid format in $localeStats function: ${error.message}`);
+                }
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+    }
+
+    /**
+     * Adds the $localeList, $localeDuration and $localeUnit functions to aoi.js
+     */
+    addFormatFunctions() {
+        this.createFormatFunction('$localeList', (splits, locale, formats) => {
+            const [style = '', ...items] = splits;
+            return ValueFormatter.formatList(items.map(item => item.trim()).filter(Boolean), style.trim(), locale, formats);
+        });
+
+        this.createFormatFunction('$localeDuration', (splits, locale, formats) => {
+            const [ms = '', style = ''] = splits.map(split => split.trim());
+            if (ms === '' || Number.isNaN(Number(ms))) {
+                throw new Error(`Invalid duration '${ms}'`);
+            }
+            return ValueFormatter.formatDuration(ms, style, locale, formats);
+        });
+
+        this.createFormatFunction('$localeUnit', (splits, locale, formats) => {
+            const [value = '', unit = '', style = ''] = splits.map(split => split.trim());
+            if (value === '' || Number.isNaN(Number(value))) {
+                throw new Error(`Invalid number '${value}'`);
+            }
+            if (!unit) {
+                throw new Error('Unit not specified');
+            }
+            return ValueFormatter.formatUnit(value, unit, style, locale, formats);
+        });
+    }
+
+    /**
+     * Registers a function that formats its arguments in the detected language
+     * @param {string} name - Function name
+     * @param {Function} format - Called with (splits, locale, formats), returns the result text
+     */
+    createFormatFunction(name, format) {
+        this.client.functionManager.createFunction({
+            name,
+            type: 'djs',
+            code: async (d) => {
+                const data = d.util.aoiFunc(d);
+                if (data.err) return d.error(data.err);
+
+                try {
+                    await this.aoiLocale.ready;
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, error.message);
+                }
+
+                const locale = await this.aoiLocale.detectUserLanguage(d) || this.aoiLocale.getDefaultLocale();
+
+                try {
+                    data.result = format(data.inside.splits, locale, this.aoiLocale.formatOptions.formats);
+                } catch (error) {
+                    return d.aoiError.fnError(d, 'custom', {}, `${error.message} in ${name} function`);
+                }
+
+                return {
+                    code: d.util.setCode(data)
+                };
+            }
+        });
+    }
 }
 
 module.exports = FunctionManager;
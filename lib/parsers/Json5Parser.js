@@ -0,0 +1,31 @@
+const JSON5 = require('json5');
+
+class Json5Parser {
+    /**
+     * File extensions handled by this parser
+     * @returns {Array} Extension list
+     */
+    static get extensions() {
+        return ['.json5'];
+    }
+
+    /**
+     * Parses JSON5 locale content
+     * @param {string} content - File content
+     * @returns {Object} Translation data
+     */
+    static parse(content) {
+        return JSON5.parse(content);
+    }
+
+    /**
+     * Serializes translation data to JSON5
+     * @param {Object} data - Translation data
+     * @returns {string} File content
+     */
+    static stringify(data) {
+        return JSON5.stringify(data, null, 4);
+    }
+}
+
+module.exports = Json5Parser;
@@ -0,0 +1,29 @@
+class JsonParser {
+    /**
+     * File extensions handled by this parser
+     * @returns {Array} Extension list
+     */
+    static get extensions() {
+        return ['.json'];
+    }
+
+    /**
+     * Parses JSON locale content
+     * @param {string} content - File content
+     * @returns {Object} Translation data
+     */
+    static parse(content) {
+        return JSON.parse(content);
+    }
+
+    /**
+     * Serializes translation data to JSON
+     * @param {Object} data - Translation data
+     * @returns {string} File content
+     */
+    static stringify(data) {
+        return JSON.stringify(data, null, 4);
+    }
+}
+
+module.exports = JsonParser;
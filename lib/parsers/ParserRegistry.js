@@ -0,0 +1,83 @@
+const path = require('path');
+const JsonParser = require('./JsonParser');
+const Json5Parser = require('./Json5Parser');
+const YamlParser = require('./YamlParser');
+const PropertiesParser = require('./PropertiesParser');
+
+class ParserRegistry {
+    constructor(parsers = {}) {
+        this.parsers = new Map();
+
+        for (const parser of [JsonParser, Json5Parser, YamlParser, PropertiesParser]) {
+            for (const extension of parser.extensions) {
+                this.register(extension, parser);
+            }
+        }
+
+        for (const [extension, parser] of Object.entries(parsers)) {
+            this.register(extension, parser);
+        }
+    }
+
+    /**
+     * Registers a parser for a file extension
+     * @param {string} extension - File extension (with or without leading dot)
+     * @param {Object} parser - Object with parse(content) and optional stringify(data)
+     */
+    register(extension, parser) {
+        if (!parser || typeof parser.parse !== 'function') {
+            throw new TypeError(`[aoi.locale] Parser for '${extension}' must have a parse function`);
+        }
+
+        this.parsers.set(this.normalizeExtension(extension), parser);
+    }
+
+    /**
+     * Gets the parser for a file extension or format name
+     * @param {string} extension - File extension or format name (e.g. 'yaml')
+     * @returns {Object|null} Parser or null
+     */
+    get(extension) {
+        return this.parsers.get(this.normalizeExtension(extension)) || null;
+    }
+
+    /**
+     * Gets the parser for a file name
+     * @param {string} file - File name
+     * @returns {Object|null} Parser or null
+     */
+    getForFile(file) {
+        const extension = this.getExtension(file);
+        return extension ? this.get(extension) : null;
+    }
+
+    /**
+     * Gets the registered extension of a file name
+     * @param {string} file - File name
+     * @returns {string|null} Extension or null if not supported
+     */
+    getExtension(file) {
+        const extension = path.extname(file).toLowerCase();
+        return this.parsers.has(extension) ? extension : null;
+    }
+
+    /**
+     * Returns all registered extensions
+     * @returns {Array} Extension list
+     */
+    getExtensions() {
+        return Array.from(this.parsers.keys());
+    }
+
+    /**
+     * Normalizes an extension or format name to '.ext'
+     * @param {string} extension - File extension or format name
+     * @returns {string} Normalized extension
+     */
+    normalizeExtension(extension) {
+        const lower = String(extension).toLowerCase();
+        return lower.startsWith('.') ? lower : `.${lower}`;
+    }
+}
+
+module.exports = ParserRegistry;
@@ -0,0 +1,192 @@
+const ESCAPES = {
+    t: '\t',
+    n: '\n',
+    r: '\r',
+    f: '\f'
+};
+
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+class PropertiesParser {
+    /**
+     * File extensions handled by this parser
+     * @returns {Array} Extension list
+     */
+    static get extensions() {
+        return ['.properties'];
+    }
+
+    /**
+     * Parses Java .properties content
+     * Dotted keys (help.title) become nested objects so dot notation keeps working.
+     * @param {string} content - File content
+     * @returns {Object} Translation data
+     */
+    static parse(content) {
+        const data = {};
+
+        for (const line of this.joinLines(content)) {
+            const trimmed = line.replace(/^\s+/, '');
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) continue;
+
+            const { key, value } = this.splitLine(trimmed);
+            this.setNested(data, this.unescape(key), this.unescape(value));
+        }
+
+        return data;
+    }
+
+    /**
+     * Serializes translation data to .properties content
+     * @param {Object} data - Translation data
+     * @returns {string} File content
+     */
+    static stringify(data) {
+        const lines = [];
+
+        const walk = (value, prefix) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                for (const [key, child] of Object.entries(value)) {
+                    walk(child, prefix ? `${prefix}.${key}` : key);
+                }
+                return;
+            }
+
+            lines.push(`${this.escape(prefix, true)}=${this.escape(String(value), false)}`);
+        };
+
+        walk(data, '');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Joins lines ending with an unescaped backslash
+     * @param {string} content - File content
+     * @returns {Array} Logical lines
+     */
+    static joinLines(content) {
+        const lines = [];
+        let current = null;
+
+        for (const rawLine of content.split(/\r?\n|\r/)) {
+            const line = current === null ? rawLine : rawLine.replace(/^\s+/, '');
+            const trailing = /\\+$/.exec(line);
+            const continues = trailing && trailing[0].length % 2 === 1;
+            const text = continues ? line.slice(0, -1) : line;
+
+            current = current === null ? text : current + text;
+
+            if (!continues) {
+                lines.push(current);
+                current = null;
+            }
+        }
+
+        if (current !== null) {
+            lines.push(current);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Splits a logical line into key and value
+     * @param {string} line - Logical line without leading whitespace
+     * @returns {Object} Raw key and value
+     */
+    static splitLine(line) {
+        let index = 0;
+
+        while (index < line.length) {
+            const char = line[index];
+            if (char === '\\') {
+                index += 2;
+                continue;
+            }
+            if (char === '=' || char === ':' || /\s/.test(char)) break;
+            index++;
+        }
+
+        const key = line.slice(0, index);
+        let rest = line.slice(index).replace(/^\s+/, '');
+
+        if (rest.startsWith('=') || rest.startsWith(':')) {
+            rest = rest.slice(1).replace(/^\s+/, '');
+        }
+
+        return { key, value: rest };
+    }
+
+    /**
+     * Resolves backslash escapes
+     * @param {string} text - Escaped text
+     * @returns {string} Unescaped text
+     */
+    static unescape(text) {
+        return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, sequence) => {
+            if (sequence.length === 5) {
+                return String.fromCharCode(parseInt(sequence.slice(1), 16));
+            }
+            return ESCAPES[sequence] !== undefined ? ESCAPES[sequence] : sequence;
+        });
+    }
+
+    /**
+     * Escapes a key or value for .properties output
+     * @param {string} text - Raw text
+     * @param {boolean} isKey - Whether text is a key
+     * @returns {string} Escaped text
+     */
+    static escape(text, isKey) {
+        let escaped = text
+            .replace(/\\/g, '\\\\')
+            .replace(/\t/g, '\\t')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\f/g, '\\f');
+
+        if (isKey) {
+            escaped = escaped.replace(/([=: #!])/g, '\\$1');
+        } else {
+            escaped = escaped.replace(/^([ #!])/, '\\$1');
+        }
+
+        return escaped;
+    }
+
+    /**
+     * Sets a dotted key on a nested object
+     * @param {Object} data - Target object
+     * @param {string} key - Dotted key
+     * @param {string} value - Value
+     */
+    static setNested(data, key, value) {
+        const parts = key.split('.');
+        let current = data;
+
+        if (parts.some(part => UNSAFE_SEGMENTS.includes(part))) {
+            throw new Error(`Key '${key}' uses a reserved name (${UNSAFE_SEGMENTS.join(', ')})`);
+        }
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            const part = parts[i];
+
+            if (typeof current[part] === 'string') {
+                throw new Error(`Key '${key}' conflicts with '${parts.slice(0, i + 1).join('.')}'`);
+            }
+            if (!Object.prototype.hasOwnProperty.call(current, part)) {
+                current[part] = {};
+            }
+            current = current[part];
+        }
+
+        const last = parts[parts.length - 1];
+        if (current[last] && typeof current[last] === 'object') {
+            throw new Error(`Key '${key}' conflicts with nested keys under it`);
+        }
+
+        current[last] = value;
+    }
+}
+
+module.exports = PropertiesParser;
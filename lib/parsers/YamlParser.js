@@ -0,0 +1,31 @@
+const YAML = require('yaml');
+
+class YamlParser {
+    /**
+     * File extensions handled by this parser
+     * @returns {Array} Extension list
+     */
+    static get extensions() {
+        return ['.yaml', '.yml'];
+    }
+
+    /**
+     * Parses YAML locale content
+     * @param {string} content - File content
+     * @returns {Object} Translation data
+     */
+    static parse(content) {
+        return YAML.parse(content) || {};
+    }
+
+    /**
+     * Serializes translation data to YAML
+     * @param {Object} data - Translation data
+     * @returns {string} File content
+     */
+    static stringify(data) {
+        return YAML.stringify(data);
+    }
+}
+
+module.exports = YamlParser;
@@ -0,0 +1,135 @@
+class LanguageStore {
+    /**
+     * @param {AoiClient} client - aoi.js bot client
+     * @param {Object} options - Store options
+     * @param {string} [options.variable='language'] - Variable name
+     * @param {string} [options.table] - Database table (first aoi.js table by default)
+     * @param {string} [options.userScope='guild'] - 'guild' (like $setUserVar) or 'global' (like $setGlobalUserVar)
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.variable = options.variable || 'language';
+        this.table = options.table || null;
+        this.userScope = options.userScope || 'guild';
+    }
+
+    /**
+     * Gets the table used for language variables
+     * @returns {string} Table name
+     */
+    getTable() {
+        if (this.table) return this.table;
+
+        const tables = this.client.db && this.client.db.tables;
+        const table = Array.isArray(tables) ? tables[0] : null;
+
+        return (table && typeof table === 'object' ? table.name : table) || 'main';
+    }
+
+    /**
+     * Builds the variable id of a user, matching aoi.js user variables
+     * @param {string} userId - User ID
+     * @param {string} [guildId] - Guild ID
+     * @returns {string} Variable id
+     */
+    getUserKey(userId, guildId) {
+        return this.userScope === 'global' || !guildId ? userId : `${userId}_${guildId}`;
+    }
+
+    /**
+     * Reads a language variable
+     * @param {string} id - Variable id
+     * @returns {Promise<string|null>} Language code or null if not set
+     */
+    async get(id) {
+        const db = this.client.db;
+        if (!id || !db || typeof db.get !== 'function') return null;
+
+        try {
+            const entry = await db.get(this.getTable(), this.variable, id);
+            const value = entry && typeof entry === 'object' ? entry.value : entry;
+
+            if (value === undefined || value === null || value === '') return null;
+            return String(value);
+        } catch (error) {
+            console.error(`[aoi.locale] Error reading ${this.variable} for ${id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Writes a language variable
+     * @param {string} id - Variable id
+     * @param {string} locale - Language code
+     * @returns {Promise<void>}
+     */
+    async set(id, locale) {
+        const db = this.client.db;
+        if (!db || typeof db.set !== 'function') {
+            throw new Error('[aoi.locale] The aoi.js database is not available');
+        }
+
+        await db.set(this.getTable(), this.variable, id, locale);
+    }
+
+    /**
+     * Gets a user's language
+     * @param {string} userId - User ID
+     * @param {string} [guildId] - Guild ID
+     * @returns {Promise<string|null>} Language code or null
+     */
+    getUserLanguage(userId, guildId) {
+        return this.get(this.getUserKey(userId, guildId));
+    }
+
+    /**
+     * Sets a user's language
+     * @param {string} userId - User ID
+     * @param {string} locale - Language code
+     * @param {string} [guildId] - Guild ID
+     * @returns {Promise<void>}
+     */
+    setUserLanguage(userId, locale, guildId) {
+        return this.set(this.getUserKey(userId, guildId), locale);
+    }
+
+    /**
+     * Gets a guild's language
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string|null>} Language code or null
+     */
+    getGuildLanguage(guildId) {
+        return this.get(guildId);
+    }
+
+    /**
+     * Sets a guild's language
+     * @param {string} guildId - Guild ID
+     * @param {string} locale - Language code
+     * @returns {Promise<void>}
+     */
+    setGuildLanguage(guildId, locale) {
+        return this.set(guildId, locale);
+    }
+
+    /**
+     * Gets a channel's language
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<string|null>} Language code or null
+     */
+    getChannelLanguage(channelId) {
+        return this.get(channelId);
+    }
+
+    /**
+     * Sets a channel's language
+     * @param {string} channelId - Channel ID
+     * @param {string} locale - Language code
+     * @returns {Promise<void>}
+     */
+    setChannelLanguage(channelId, locale) {
+        return this.set(channelId, locale);
+    }
+}
+
+module.exports = LanguageStore;
@@ -0,0 +1,77 @@
+const DISCORD_LOCALES = [
+    'id', 'da', 'de', 'en-GB', 'en-US', 'es-ES', 'es-419', 'fr', 'hr', 'it', 'lt', 'hu',
+    'nl', 'no', 'pl', 'pt-BR', 'ro', 'fi', 'sv-SE', 'vi', 'tr', 'cs', 'el', 'bg', 'ru',
+    'uk', 'hi', 'th', 'zh-CN', 'ja', 'zh-TW', 'ko'
+];
+
+const DISCORD_ALIASES = {
+    'no': ['nb', 'nn'],
+    'zh-CN': ['zh-Hans'],
+    'zh-TW': ['zh-Hant']
+};
+
+class DiscordLocale {
+    /**
+     * Returns the locale codes Discord clients can report
+     * @returns {Array} Discord locale codes
+     */
+    static get locales() {
+        return DISCORD_LOCALES.slice();
+    }
+
+    /**
+     * Gets the Discord locales of an interaction
+     * @param {Object} d - aoi.js data object
+     * @returns {Object|null} { locale, guildLocale } or null outside interactions
+     */
+    static fromData(d) {
+        const interaction = d.data?.interaction || d.interaction
+            || (d.message && typeof d.message.locale === 'string' ? d.message : null);
+
+        if (!interaction || !interaction.locale) return null;
+
+        return {
+            locale: interaction.locale,
+            guildLocale: interaction.guildLocale || null
+        };
+    }
+
+    /**
+     * Maps a Discord locale code onto one of the available locales
+     * Tries the custom map, the exact code (case-insensitive, `-` or `_`), known
+     * aliases, the base language (pt-BR → pt) and finally any regional variant of
+     * the base language (en-US → en-GB).
+     * @param {string} discordLocale - Discord locale code (e.g. 'pt-BR')
+     * @param {Array} available - Available locale codes
+     * @param {Object} [map] - Custom mapping of Discord codes to locale codes
+     * @returns {string|null} Matching locale or null
+     */
+    static resolve(discordLocale, available, map = {}) {
+        if (!discordLocale) return null;
+
+        const normalize = (code) => String(code).toLowerCase().replace(/_/g, '-');
+        const byCode = new Map(available.map(locale => [normalize(locale), locale]));
+        const base = discordLocale.split('-')[0];
+        const mapped = map[discordLocale];
+
+        const candidates = [
+            ...(Array.isArray(mapped) ? mapped : mapped ? [mapped] : []),
+            discordLocale,
+            ...(DISCORD_ALIASES[discordLocale] || []),
+            base
+        ];
+
+        for (const candidate of candidates) {
+            const match = byCode.get(normalize(candidate));
+            if (match) return match;
+        }
+
+        for (const [code, locale] of byCode) {
+            if (code.split('-')[0] === normalize(base)) return locale;
+        }
+
+        return null;
+    }
+}
+
+module.exports = DiscordLocale;
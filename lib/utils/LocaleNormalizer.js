@@ -0,0 +1,85 @@
+const MAX_CACHED_CODES = 1000;
+
+const canonicalCache = new Map();
+
+class LocaleNormalizer {
+    /**
+     * Normalizes a language code to BCP-47 form ('EN_us' → 'en-US')
+     * @param {string} code - Language code
+     * @returns {string} Normalized code (lower-cased with '-' if not valid BCP-47)
+     */
+    static normalize(code) {
+        const cleaned = String(code).trim().replace(/_/g, '-');
+
+        if (!canonicalCache.has(cleaned)) {
+            let canonical;
+            try {
+                [canonical] = Intl.getCanonicalLocales(cleaned);
+            } catch (error) {
+                canonical = cleaned.toLowerCase();
+            }
+            if (canonicalCache.size >= MAX_CACHED_CODES) {
+                canonicalCache.clear();
+            }
+            canonicalCache.set(cleaned, canonical || cleaned.toLowerCase());
+        }
+
+        return canonicalCache.get(cleaned);
+    }
+
+    /**
+     * Builds the lookup key of a code or alias
+     * @param {string} code - Language code or alias
+     * @returns {string} Lower-cased normalized key
+     */
+    static key(code) {
+        return LocaleNormalizer.normalize(code).toLowerCase();
+    }
+
+    /**
+     * Normalizes the keys of an alias map
+     * @param {Object} aliases - Aliases keyed by name (e.g. { english: 'en' })
+     * @returns {Map} Lookup key → locale code
+     */
+    static createAliases(aliases = {}) {
+        const map = new Map();
+
+        for (const [alias, locale] of Object.entries(aliases || {})) {
+            map.set(LocaleNormalizer.key(alias), locale);
+        }
+
+        return map;
+    }
+
+    /**
+     * Finds the available locale matching a user-supplied code
+     * Matching is case-insensitive and treats '_' as '-'. Aliases are applied
+     * first, and region variants fall back to their base language
+     * (en-US → en, zh-Hant-TW → zh-Hant → zh).
+     * @param {string} code - Language code or alias
+     * @param {Array} available - Available locale codes
+     * @param {Map} [aliases] - Aliases created with createAliases
+     * @returns {string|null} Available locale code or null
+     */
+    static resolve(code, available, aliases = new Map()) {
+        if (code === undefined || code === null || String(code).trim() === '') return null;
+        if (available.includes(code)) return code;
+
+        const byKey = new Map(available.map(locale => [LocaleNormalizer.key(locale), locale]));
+        const requested = LocaleNormalizer.key(code);
+        const aliased = aliases.get(requested);
+        let candidate = aliased !== undefined ? LocaleNormalizer.key(aliased) : requested;
+
+        while (candidate) {
+            const match = byKey.get(candidate);
+            if (match) return match;
+
+            const separator = candidate.lastIndexOf('-');
+            candidate = separator > 0 ? candidate.slice(0, separator) : null;
+        }
+
+        return null;
+    }
+}
+
+module.exports = LocaleNormalizer;
@@ -0,0 +1,312 @@
+const ValueFormatter = require('./ValueFormatter');
+
+const SELECT_TYPES = ['plural', 'select', 'selectordinal'];
+
+class MessageParser {
+    constructor(message) {
+        this.message = message;
+        this.pos = 0;
+    }
+
+    /**
+     * Parses an ICU MessageFormat string into a node list
+     * @param {string} message - Raw message
+     * @returns {Array} Parsed message nodes
+     */
+    static parse(message) {
+        const parser = new MessageParser(String(message));
+        const nodes = parser.parseMessage(false);
+
+        if (parser.pos < parser.message.length) {
+            throw parser.error(`Unexpected '}'`);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Parses message text until the end or a closing brace
+     * @param {boolean} inPlural - Whether '#' refers to a plural value
+     * @returns {Array} Message nodes
+     */
+    parseMessage(inPlural) {
+        const nodes = [];
+        let text = '';
+
+        const flush = () => {
+            if (text) {
+                nodes.push({ type: 'text', value: text });
+                text = '';
+            }
+        };
+
+        while (this.pos < this.message.length) {
+            const char = this.message[this.pos];
+
+            if (char === '{') {
+                flush();
+                nodes.push(this.parseArgument(inPlural));
+                continue;
+            }
+
+            if (char === '}') break;
+
+            if (char === '#' && inPlural) {
+                flush();
+                nodes.push({ type: 'pound' });
+                this.pos++;
+                continue;
+            }
+
+            if (char === "'") {
+                text += this.parseQuoted(inPlural);
+                continue;
+            }
+
+            text += char;
+            this.pos++;
+        }
+
+        flush();
+        return nodes;
+    }
+
+    /**
+     * Parses an apostrophe escape sequence
+     * @param {boolean} inPlural - Whether '#' can be escaped
+     * @returns {string} Literal text
+     */
+    parseQuoted(inPlural) {
+        const next = this.message[this.pos + 1];
+
+        if (next === "'") {
+            this.pos += 2;
+            return "'";
+        }
+
+        if (next !== '{' && next !== '}' && !(inPlural && next === '#')) {
+            this.pos++;
+            return "'";
+        }
+
+        const start = this.pos;
+        let text = '';
+        this.pos++;
+
+        while (this.pos < this.message.length) {
+            const char = this.message[this.pos];
+
+            if (char === "'") {
+                if (this.message[this.pos + 1] === "'") {
+                    text += "'";
+                    this.pos += 2;
+                    continue;
+                }
+                this.pos++;
+                return text;
+            }
+
+            text += char;
+            this.pos++;
+        }
+
+        throw this.error('Unterminated quoted text', start);
+    }
+
+    /**
+     * Parses a {argument} or {argument, type, ...} block
+     * @param {boolean} inPlural - Whether the argument is inside a plural option
+     * @returns {Object} Argument node
+     */
+    parseArgument(inPlural) {
+        const start = this.pos;
+        this.pos++;
+        this.skipWhitespace();
+
+        const name = this.readIdentifier();
+        if (!name) {
+            throw this.error('Expected argument name');
+        }
+
+        this.skipWhitespace();
+
+        if (this.message[this.pos] === '}') {
+            this.pos++;
+            return { type: 'argument', name };
+        }
+
+        if (this.pos >= this.message.length) {
+            throw this.error(`Unclosed argument '${name}'`, start);
+        }
+
+        this.expect(',', `Expected ',' or '}' after argument '${name}'`);
+        this.skipWhitespace();
+
+        const type = this.readIdentifier();
+        if (!type) {
+            throw this.error(`Expected argument type for '${name}'`);
+        }
+
+        this.skipWhitespace();
+
+        if (ValueFormatter.isFormatType(type)) {
+            return this.parseFormat(type, name, start);
+        }
+
+        if (!SELECT_TYPES.includes(type)) {
+            throw this.error(`Unknown argument type '${type}' for '${name}'`);
+        }
+
+        this.expect(',', `Expected ',' after '${type}' in argument '${name}'`);
+
+        return this.parseOptions(type, name, inPlural, start);
+    }
+
+    /**
+     * Parses the style of a typed placeholder such as {price, currency, USD}
+     * @param {string} type - Format type
+     * @param {string} name - Argument name
+     * @param {number} start - Position of the opening brace
+     * @returns {Object} Format node
+     */
+    parseFormat(type, name, start) {
+        let style = null;
+
+        if (this.message[this.pos] === ',') {
+            this.pos++;
+            const end = this.message.indexOf('}', this.pos);
+            if (end === -1) {
+                throw this.error(`Unclosed argument '${name}'`, start);
+            }
+
+            style = this.message.slice(this.pos, end).trim();
+            if (!style || /[{']/.test(style)) {
+                throw this.error(`Expected style for ${type} argument '${name}'`);
+            }
+            if (!ValueFormatter.isValidStyle(type, style)) {
+                throw this.error(`Unknown ${type} style '${style}' for '${name}'`);
+            }
+            this.pos = end;
+        }
+
+        if (this.pos >= this.message.length) {
+            throw this.error(`Unclosed argument '${name}'`, start);
+        }
+
+        this.expect('}', `Expected '}' after ${type} argument '${name}'`);
+        return { type: 'format', name, format: type, style };
+    }
+
+    /**
+     * Parses the options of a plural, select or selectordinal argument
+     * @param {string} type - Argument type
+     * @param {string} name - Argument name
+     * @param {boolean} inPlural - Whether the argument is inside a plural option
+     * @param {number} start - Position of the opening brace
+     * @returns {Object} Argument node
+     */
+    parseOptions(type, name, inPlural, start) {
+        const isPlural = type !== 'select';
+        const options = {};
+        let offset = 0;
+
+        this.skipWhitespace();
+
+        if (isPlural && this.message.startsWith('offset:', this.pos)) {
+            this.pos += 'offset:'.length;
+            this.skipWhitespace();
+            const match = /^\d+/.exec(this.message.slice(this.pos));
+            if (!match) {
+                throw this.error(`Expected number after 'offset:' in argument '${name}'`);
+            }
+            offset = parseInt(match[0]);
+            this.pos += match[0].length;
+        }
+
+        while (true) {
+            this.skipWhitespace();
+
+            if (this.pos >= this.message.length) {
+                throw this.error(`Unclosed ${type} argument '${name}'`, start);
+            }
+
+            if (this.message[this.pos] === '}') {
+                this.pos++;
+                break;
+            }
+
+            const selector = this.readIdentifier();
+            if (!selector) {
+                throw this.error(`Expected selector in ${type} argument '${name}'`);
+            }
+            if (isPlural && selector.startsWith('=') && !/^=\d+$/.test(selector)) {
+                throw this.error(`Invalid selector '${selector}' in ${type} argument '${name}'`);
+            }
+            if (options[selector]) {
+                throw this.error(`Duplicate selector '${selector}' in ${type} argument '${name}'`);
+            }
+
+            this.skipWhitespace();
+            const optionStart = this.pos;
+            this.expect('{', `Expected '{' after selector '${selector}'`);
+
+            options[selector] = this.parseMessage(isPlural || inPlural);
+
+            if (this.message[this.pos] !== '}') {
+                throw this.error(`Unclosed option '${selector}' in ${type} argument '${name}'`, optionStart);
+            }
+            this.pos++;
+        }
+
+        if (!options.other) {
+            throw this.error(`Missing 'other' option in ${type} argument '${name}'`, start);
+        }
+
+        return { type, name, offset, options };
+    }
+
+    /**
+     * Reads an argument name, type or selector
+     * @returns {string} Identifier (empty if none)
+     */
+    readIdentifier() {
+        const match = /^[^\s,{}#']+/.exec(this.message.slice(this.pos));
+        if (!match) return '';
+
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Skips whitespace characters
+     */
+    skipWhitespace() {
+        while (this.pos < this.message.length && /\s/.test(this.message[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Consumes an expected character
+     * @param {string} char - Expected character
+     * @param {string} message - Error message if missing
+     */
+    expect(char, message) {
+        if (this.message[this.pos] !== char) {
+            throw this.error(message);
+        }
+        this.pos++;
+    }
+
+    /**
+     * Creates a parse error with position info
+     * @param {string} message - Error message
+     * @param {number} pos - Error position
+     * @returns {SyntaxError} Parse error
+     */
+    error(message, pos = this.pos) {
+        return new SyntaxError(`${message} at position ${pos}`);
+    }
+}
+
+module.exports = MessageParser;
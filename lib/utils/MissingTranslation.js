@@ -0,0 +1,22 @@
+class MissingTranslation {
+    /**
+     * Marks a missing key for $locale to report as an aoi.js function error
+     * @param {string} key - Translation key
+     * @param {string} locale - Requested locale
+     */
+    constructor(key, locale) {
+        this.key = key;
+        this.locale = locale;
+        this.message = `Key '${key}' not found in any locale (requested: ${locale})`;
+    }
+
+    /**
+     * Uses the key when the marker ends up in text
+     * @returns {string} Translation key
+     */
+    toString() {
+        return this.key;
+    }
+}
+
+module.exports = MissingTranslation;
@@ -0,0 +1,129 @@
+const MessageParser = require('./MessageParser');
+const TextInterpolator = require('./TextInterpolator');
+
+const ACCENTS = {
+    a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+    n: 'ñ', o: 'ó', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+    A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ó', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+const PADDING = '~';
+
+class PseudoLocalizer {
+    /**
+     * Pseudo-localizes a locale value
+     * Only literal text changes; placeholders and ICU syntax are kept as they are.
+     * @param {string|Object} value - Message or plural forms object
+     * @param {number} [expansion=30] - Length padding in percent of the text length
+     * @returns {string|Object} Pseudo-localized message or plural forms object
+     */
+    static localize(value, expansion = 30) {
+        if (TextInterpolator.isPluralObject(value)) {
+            const forms = {};
+            for (const [category, form] of Object.entries(value)) {
+                forms[category] = this.localizeMessage(form, expansion);
+            }
+            return forms;
+        }
+
+        return this.localizeMessage(value, expansion);
+    }
+
+    /**
+     * Pseudo-localizes a single ICU message
+     * Plural object forms are messages of their own too: like TextInterpolator.compile,
+     * they are parsed at top level, where '#' is literal text.
+     * Messages that do not parse are returned unchanged so the usual syntax error is reported.
+     * @param {string} message - ICU message
+     * @param {number} expansion - Length padding in percent
+     * @returns {string} Pseudo-localized message
+     */
+    static localizeMessage(message, expansion) {
+        let nodes;
+        try {
+            nodes = MessageParser.parse(message);
+        } catch (error) {
+            return message;
+        }
+
+        const transformed = this.transform(nodes, expansion);
+        return `[${this.serialize(transformed, false)}]`;
+    }
+
+    /**
+     * Accents the text nodes of a node list and pads it to the expanded length
+     * @param {Array} nodes - Message nodes
+     * @param {number} expansion - Length padding in percent
+     * @returns {Array} New message nodes
+     */
+    static transform(nodes, expansion) {
+        let length = 0;
+
+        const result = nodes.map(node => {
+            if (node.type === 'text') {
+                length += node.value.length;
+                return { type: 'text', value: this.accent(node.value) };
+            }
+
+            if (node.options) {
+                const options = {};
+                for (const [selector, option] of Object.entries(node.options)) {
+                    options[selector] = this.transform(option, expansion);
+                }
+                return { ...node, options };
+            }
+
+            return node;
+        });
+
+        const padding = Math.ceil(length * Math.max(expansion, 0) / 100);
+        if (padding > 0) {
+            result.push({ type: 'text', value: PADDING.repeat(padding) });
+        }
+
+        return result;
+    }
+
+    /**
+     * Replaces ASCII letters with accented look-alikes
+     * @param {string} text - Literal text
+     * @returns {string} Accented text
+     */
+    static accent(text) {
+        return text.replace(/[a-zA-Z]/g, char => ACCENTS[char]);
+    }
+
+    /**
+     * Serializes message nodes back into an ICU message
+     * @param {Array} nodes - Message nodes
+     * @param {boolean} inPlural - Whether '#' must be quoted in text
+     * @returns {string} ICU message
+     */
+    static serialize(nodes, inPlural) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value
+                        .replace(/'/g, "''")
+                        .replace(inPlural ? /[{}#]/g : /[{}]/g, char => `'${char}'`);
+                case 'pound':
+                    return '#';
+                case 'argument':
+                    return `{${node.name}}`;
+                case 'format':
+                    return node.style ? `{${node.name}, ${node.format}, ${node.style}}` : `{${node.name}, ${node.format}}`;
+                default: {
+                    const isPlural = node.type !== 'select';
+                    const offset = node.offset ? `offset:${node.offset} ` : '';
+                    const options = Object.entries(node.options)
+                        .map(([selector, option]) => `${selector} {${this.serialize(option, isPlural || inPlural)}}`)
+                        .join(' ');
+                    return `{${node.name}, ${node.type}, ${offset}${options}}`;
+                }
+            }
+        }).join('');
+    }
+}
+
+module.exports = PseudoLocalizer;
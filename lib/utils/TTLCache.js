@@ -0,0 +1,94 @@
+class TTLCache {
+    /**
+     * @param {number} ttl - Entry lifetime in ms
+     * @param {number} [maxSize=10000] - Entry count above which expired entries are pruned
+     */
+    constructor(ttl, maxSize = 10000) {
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    /**
+     * Checks if a key has a live entry
+     * @param {string} key - Cache key
+     * @returns {boolean} Whether the key is cached
+     */
+    has(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Gets a live entry
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or undefined
+     */
+    get(key) {
+        return this.has(key) ? this.entries.get(key).value : undefined;
+    }
+
+    /**
+     * Stores a value
+     * @param {string} key - Cache key
+     * @param {*} value - Value
+     */
+    set(key, value) {
+        if (this.entries.size >= this.maxSize) {
+            this.prune();
+        }
+
+        this.entries.set(key, { value, expires: Date.now() + this.ttl });
+    }
+
+    /**
+     * Removes an entry
+     * @param {string} key - Cache key
+     * @returns {boolean} Whether an entry was removed
+     */
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Returns the keys of live entries
+     * @returns {Array} Cache keys
+     */
+    keys() {
+        return Array.from(this.entries.keys()).filter(key => this.has(key));
+    }
+
+    /**
+     * Removes all entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Removes expired entries, then the oldest ones if still over maxSize
+     */
+    prune() {
+        const now = Date.now();
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expires <= now) {
+                this.entries.delete(key);
+            }
+        }
+
+        for (const key of this.entries.keys()) {
+            if (this.entries.size < this.maxSize) break;
+            this.entries.delete(key);
+        }
+    }
+}
+
+module.exports = TTLCache;
@@ -1,100 +1,277 @@
+const MessageParser = require('./MessageParser');
+const ValueFormatter = require('./ValueFormatter');
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const pluralRulesCache = new Map();
+
+const NAMED_MAPPINGS = {
+    'user': 0,
+    'username': 0,
+    'name': 0,
+    'server': 1,
+    'servername': 1,
+    'guild': 1,
+    'channel': 2,
+    'level': 3,
+    'value': 4
+};
+
 class TextInterpolator {
     /**
      * Replaces parameters in text
-     * @param {string} text - Raw text
+     * @param {string|Object} text - Raw text or plural forms object
      * @param {Array|Object} params - Parameter list or named parameters object
+     * @param {string} locale - Language code used for plural rules
+     * @param {Object} [options] - { formats, pluralRules } of the AoiLocale instance
      * @returns {string} Processed text
      */
-    static interpolate(text, params) {
-        if (!params) return text;
+    static interpolate(text, params, locale, options) {
+        return this.format(this.compile(text), params, locale, options);
+    }
 
-        if (typeof params === 'object' && !Array.isArray(params)) {
-            return this.interpolateNamedParams(text, params);
+    /**
+     * Parses a locale value into message nodes
+     * @param {string|Object} text - Raw text or plural forms object
+     * @returns {Array} Message nodes
+     */
+    static compile(text) {
+        if (this.isPluralObject(text)) {
+            const options = {};
+            for (const [category, form] of Object.entries(text)) {
+                options[category] = MessageParser.parse(form);
+            }
+            return [{ type: 'plural', name: 'count', offset: 0, exactZero: true, options }];
         }
 
-        return this.interpolateArrayParams(text, params);
+        return MessageParser.parse(text);
     }
 
     /**
-     * Interpolates named parameters
-     * @param {string} text - Raw text
-     * @param {Object} params - Named parameters object
+     * Formats compiled message nodes with parameters
+     * @param {Array} nodes - Message nodes
+     * @param {Array|Object} params - Parameter list or named parameters object
+     * @param {string} locale - Language code
+     * @param {Object} [options] - { formats, pluralRules } of the AoiLocale instance
+     * @param {number} [pluralValue] - Value of the enclosing plural argument
      * @returns {string} Processed text
      */
-    static interpolateNamedParams(text, params) {
-        text = text.replace(/\{(\w+)\}/g, (match, name) => {
-            const lowerName = name.toLowerCase();
-            
-            if (params.hasOwnProperty(lowerName)) {
-                return params[lowerName];
+    static format(nodes, params, locale, options = {}, pluralValue) {
+        let result = '';
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    result += node.value;
+                    break;
+                case 'pound':
+                    result += pluralValue === undefined ? '#' : ValueFormatter.formatNumber(pluralValue, null, locale, options.formats);
+                    break;
+                case 'argument': {
+                    const value = this.resolveParam(params, node.name);
+                    result += value === undefined ? `{${node.name}}` : value;
+                    break;
+                }
+                case 'format': {
+                    const value = this.resolveParam(params, node.name);
+                    result += value === undefined ? `{${node.name}}` : ValueFormatter.format(value, node.format, node.style, locale, options.formats);
+                    break;
+                }
+                case 'select': {
+                    const value = this.resolveParam(params, node.name);
+                    const option = node.options[String(value)] || node.options.other;
+                    result += this.format(option, params, locale, options, pluralValue);
+                    break;
+                }
+                case 'plural':
+                case 'selectordinal': {
+                    const value = this.resolveParam(params, node.name);
+                    const number = Number(value);
+
+                    if (value === undefined || value === null || value === '' || Number.isNaN(number)) {
+                        const option = node.options.other || Object.values(node.options)[0];
+                        result += this.format(option, params, locale, options, pluralValue);
+                        break;
+                    }
+
+                    const type = node.type === 'selectordinal' ? 'ordinal' : 'cardinal';
+                    let option = node.options[`=${number}`];
+
+                    if (!option && node.exactZero && number === 0) {
+                        option = node.options.zero;
+                    }
+                    if (!option) {
+                        option = node.options[this.getPluralCategory(number - node.offset, locale, type, options.pluralRules)];
+                    }
+                    if (!option) {
+                        option = node.options.other || Object.values(node.options)[0];
+                    }
+
+                    result += this.format(option, params, locale, options, number - node.offset);
+                    break;
+                }
             }
-            
-            for (const [key, value] of Object.entries(params)) {
+        }
+
+        return result;
+    }
+
+    /**
+     * Resolves a parameter value by name
+     * @param {Array|Object} params - Parameter list or named parameters object
+     * @param {string} name - Parameter name or index
+     * @returns {*} Parameter value or undefined
+     */
+    static resolveParam(params, name) {
+        if (!params || typeof params !== 'object') return undefined;
+
+        if (Array.isArray(params)) {
+            return this.resolveArrayParam(params, name);
+        }
+
+        return this.resolveNamedParam(params, name);
+    }
+
+    /**
+     * Resolves a named parameter (case-insensitive)
+     * @param {Object} params - Named parameters object
+     * @param {string} name - Parameter name
+     * @returns {*} Parameter value or undefined
+     */
+    static resolveNamedParam(params, name) {
+        const lowerName = name.toLowerCase();
+
+        if (params.hasOwnProperty(lowerName)) {
+            return params[lowerName];
+        }
+
+        for (const [key, value] of Object.entries(params)) {
+            if (key.toLowerCase() === lowerName) {
+                return value;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Resolves an array-based parameter by index, legacy name or key=value pair
+     * @param {Array} params - Parameter array
+     * @param {string} name - Parameter name or index
+     * @returns {*} Parameter value or undefined
+     */
+    static resolveArrayParam(params, name) {
+        if (/^\d+$/.test(name)) {
+            return params[parseInt(name)];
+        }
+
+        const lowerName = name.toLowerCase();
+
+        if (NAMED_MAPPINGS.hasOwnProperty(lowerName)) {
+            return params[NAMED_MAPPINGS[lowerName]];
+        }
+
+        for (const param of params) {
+            if (typeof param === 'string' && param.includes('=')) {
+                const [key, value] = param.split('=', 2);
                 if (key.toLowerCase() === lowerName) {
                     return value;
                 }
             }
-            
-            return match;
-        });
-        return text;
+        }
+
+        return undefined;
     }
 
     /**
-     * Interpolates array-based parameters
-     * @param {string} text - Raw text
-     * @param {Array} params - Parameter array
-     * @returns {string} Processed text
+     * Collects the parameter names used by message nodes
+     * @param {Array} nodes - Message nodes
+     * @param {Set} [names] - Set to add the names to
+     * @returns {Set} Parameter names
      */
-    static interpolateArrayParams(text, params) {
-        if (Array.isArray(params) && params.length === 0) return text;
-
-        text = text.replace(/\{(\d+)\}/g, (match, index) => {
-            const i = parseInt(index);
-            return params[i] !== undefined ? params[i] : match;
-        });
-
-        const namedMappings = {
-            'user': 0,
-            'username': 0,
-            'name': 0,
-            'server': 1,
-            'servername': 1,
-            'guild': 1,
-            'channel': 2,
-            'level': 3,
-            'value': 4
-        };
-
-        text = text.replace(/\{(\w+)\}/g, (match, name) => {
-            const lowerName = name.toLowerCase();
-            
-            if (namedMappings.hasOwnProperty(lowerName)) {
-                const index = namedMappings[lowerName];
-                return params[index] !== undefined ? params[index] : match;
+    static getParameterNames(nodes, names = new Set()) {
+        for (const node of nodes) {
+            if (node.name !== undefined) {
+                names.add(node.name);
             }
-            
-            for (const param of params) {
-                if (typeof param === 'string' && param.includes('=')) {
-                    const [key, value] = param.split('=', 2);
-                    if (key.toLowerCase() === lowerName) {
-                        return value;
-                    }
-                }
+            for (const option of Object.values(node.options || {})) {
+                this.getParameterNames(option, names);
             }
-            
-            return match;
-        });
+        }
 
-        return text;
+        return names;
+    }
+
+    /**
+     * Checks if a locale value is a plural forms object
+     * @param {*} value - Locale value
+     * @returns {boolean} Whether value is a plural forms object
+     */
+    static isPluralObject(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => PLURAL_CATEGORIES.includes(key) && typeof value[key] === 'string');
+    }
+
+    /**
+     * Resolves the CLDR plural category of a number
+     * @param {number} number - Count value
+     * @param {string} locale - Language code
+     * @param {string} [type='cardinal'] - Plural rule type ('cardinal' or 'ordinal')
+     * @param {Map} [pluralRules] - Custom cardinal rules created with createPluralRules
+     * @returns {string} Plural category
+     */
+    static getPluralCategory(number, locale, type = 'cardinal', pluralRules) {
+        const customRule = type === 'cardinal' && pluralRules ? pluralRules.get(locale) : null;
+        if (customRule) {
+            return customRule(number) || 'other';
+        }
+
+        const cacheKey = `${locale || ''}:${type}`;
+        let rules = pluralRulesCache.get(cacheKey);
+
+        if (!rules) {
+            try {
+                rules = new Intl.PluralRules(locale || undefined, { type });
+            } catch (error) {
+                rules = new Intl.PluralRules('en', { type });
+            }
+            pluralRulesCache.set(cacheKey, rules);
+        }
+
+        return rules.select(number);
+    }
+
+    /**
+     * Checks custom plural rules and collects them into a map
+     * @param {Object} [rules] - Functions returning a plural category for a number, keyed by locale
+     * @returns {Map} Locale → rule
+     * @throws {TypeError} If a rule is not a function
+     */
+    static createPluralRules(rules = {}) {
+        const map = new Map();
+
+        for (const [locale, rule] of Object.entries(rules || {})) {
+            if (typeof rule !== 'function') {
+                throw new TypeError(`[aoi.locale] Plural rule for '${locale}' must be a function`);
+            }
+            map.set(locale, rule);
+        }
+
+        return map;
     }
 
     /**
      * Parses semicolon-separated arguments
+     * Without isLocale, a 2-3 letter argument is taken as the language override.
      * @param {Array} args - Raw arguments array
+     * @param {Function} [isLocale] - Checks if an argument names an available locale
      * @returns {Object} Parsed parameters and locale info
      */
-    static parseArguments(args) {
+    static parseArguments(args, isLocale = null) {
+        const looksLikeLocale = isLocale || (code => /^[a-z]{2,3}$/i.test(code));
+
         let locale = null;
         let params = {};
         let forceLocale = false;
@@ -105,17 +282,20 @@ class TextInterpolator {
             const trimmedArg = arg.trim();
             
             if (trimmedArg.includes(':')) {
-                const [paramKey, paramValue] = trimmedArg.split(':', 2);
+                const separator = trimmedArg.indexOf(':');
+                const paramKey = trimmedArg.slice(0, separator);
+                const paramValue = trimmedArg.slice(separator + 1);
                 if (paramKey && paramValue) {
                     params[paramKey.trim()] = paramValue.trim();
                 }
             } 
             else if (trimmedArg.includes('|')) {
                 const [langParam, defaultLang] = trimmedArg.split('|', 2);
-                locale = langParam.replace('?', '').trim() || defaultLang.trim();
+                const requested = langParam.replace('?', '').trim();
+                locale = requested && (!isLocale || isLocale(requested)) ? requested : defaultLang.trim();
                 forceLocale = true;
             }
-            else if (/^[a-z]{2,3}$/i.test(trimmedArg)) {
+            else if (looksLikeLocale(trimmedArg)) {
                 locale = trimmedArg;
                 forceLocale = true;
             }
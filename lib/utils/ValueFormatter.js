@@ -0,0 +1,367 @@
+const FORMAT_TYPES = ['number', 'currency', 'date', 'time', 'relative'];
+
+const NUMBER_STYLES = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent' },
+    compact: { notation: 'compact' }
+};
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+const DATE_COMPONENTS = [
+    'weekday', 'era', 'year', 'month', 'day', 'dayPeriod', 'hour', 'minute', 'second',
+    'fractionalSecondDigits', 'timeZoneName'
+];
+
+const RELATIVE_STYLES = ['long', 'short', 'narrow'];
+
+const RELATIVE_UNIT_NAMES = ['second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+const RELATIVE_UNITS = [
+    ['year', 365 * 24 * 60 * 60 * 1000],
+    ['month', 30 * 24 * 60 * 60 * 1000],
+    ['week', 7 * 24 * 60 * 60 * 1000],
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000],
+    ['second', 1000]
+];
+
+const LIST_TYPES = {
+    and: 'conjunction',
+    or: 'disjunction',
+    unit: 'unit'
+};
+
+const DURATION_UNITS = [
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000],
+    ['second', 1000]
+];
+
+const formatterCache = new Map();
+
+class ValueFormatter {
+    /**
+     * Checks if a placeholder type is a known format type
+     * @param {string} type - Placeholder type
+     * @returns {boolean} Whether type is supported
+     */
+    static isFormatType(type) {
+        return FORMAT_TYPES.includes(type);
+    }
+
+    /**
+     * Checks if a style is valid for a format type
+     * @param {string} type - Format type
+     * @param {string} style - Style text
+     * @returns {boolean} Whether style is supported
+     */
+    static isValidStyle(type, style) {
+        switch (type) {
+            case 'number':
+                return NUMBER_STYLES.hasOwnProperty(style);
+            case 'currency':
+                return /^[a-z]{3}$/i.test(style);
+            case 'date':
+            case 'time':
+                return DATE_STYLES.includes(style);
+            case 'relative':
+                return RELATIVE_STYLES.includes(style) || RELATIVE_UNIT_NAMES.includes(style.replace(/s$/, ''));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Formats a value with a typed placeholder
+     * @param {*} value - Raw value
+     * @param {string} type - Format type (number, currency, date, time, relative)
+     * @param {string} style - Optional style
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted value
+     */
+    static format(value, type, style, locale, formats) {
+        switch (type) {
+            case 'number':
+                return this.formatNumber(value, style, locale, formats);
+            case 'currency':
+                return this.formatCurrency(value, style, locale, formats);
+            case 'date':
+            case 'time':
+                return this.formatDate(value, type, style, locale, formats);
+            case 'relative':
+                return this.formatRelative(value, style, locale, formats);
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Formats a number
+     * @param {*} value - Raw value
+     * @param {string} style - integer, percent, compact or none
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted number
+     */
+    static formatNumber(value, style, locale, formats) {
+        const number = Number(value);
+        if (value === '' || Number.isNaN(number)) return String(value);
+
+        const options = { ...this.getOptions(locale, 'number', formats), ...(NUMBER_STYLES[style] || {}) };
+        return this.getFormatter('NumberFormat', locale, options).format(number);
+    }
+
+    /**
+     * Formats a currency amount
+     * @param {*} value - Raw value
+     * @param {string} style - ISO 4217 currency code
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted amount
+     */
+    static formatCurrency(value, style, locale, formats) {
+        const number = Number(value);
+        if (value === '' || Number.isNaN(number)) return String(value);
+
+        const options = { ...this.getOptions(locale, 'currency', formats), style: 'currency' };
+        if (style) {
+            options.currency = style.toUpperCase();
+        }
+        if (!options.currency) {
+            options.currency = 'USD';
+        }
+
+        return this.getFormatter('NumberFormat', locale, options).format(number);
+    }
+
+    /**
+     * Formats a date or time
+     * @param {*} value - Timestamp (ms or seconds), ISO string or Date
+     * @param {string} type - 'date' or 'time'
+     * @param {string} style - short, medium, long or full
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted date
+     */
+    static formatDate(value, type, style, locale, formats) {
+        const date = this.toDate(value);
+        if (!date) return String(value);
+
+        const options = { ...this.getOptions(locale, type, formats) };
+        if (DATE_STYLES.includes(style)) {
+            // Intl rejects dateStyle/timeStyle together with component options
+            for (const option of ['dateStyle', 'timeStyle', ...DATE_COMPONENTS]) {
+                delete options[option];
+            }
+            options[type === 'date' ? 'dateStyle' : 'timeStyle'] = style;
+        } else if (!Object.keys(options).length) {
+            options[type === 'date' ? 'dateStyle' : 'timeStyle'] = type === 'date' ? 'medium' : 'short';
+        }
+
+        return this.getFormatter('DateTimeFormat', locale, options).format(date);
+    }
+
+    /**
+     * Formats a relative time
+     * @param {*} value - Timestamp to compare with now, or an amount when style is a unit
+     * @param {string} style - long, short, narrow or a unit (second ... year)
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted relative time
+     */
+    static formatRelative(value, style, locale, formats) {
+        const options = { numeric: 'auto', ...this.getOptions(locale, 'relative', formats) };
+        const unitStyle = style && !RELATIVE_STYLES.includes(style) ? style.replace(/s$/, '') : null;
+
+        if (style && RELATIVE_STYLES.includes(style)) {
+            options.style = style;
+        }
+
+        const formatter = this.getFormatter('RelativeTimeFormat', locale, options);
+
+        if (unitStyle) {
+            const amount = Number(value);
+            if (value === '' || Number.isNaN(amount)) return String(value);
+            return formatter.format(amount, unitStyle);
+        }
+
+        const date = this.toDate(value);
+        if (!date) return String(value);
+
+        const diff = date.getTime() - Date.now();
+        const [unit, size] = RELATIVE_UNITS.find(([, ms]) => Math.abs(diff) >= ms) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+
+        return formatter.format(Math.round(diff / size), unit);
+    }
+
+    /**
+     * Joins items into a localized list ('a, b and c')
+     * @param {Array} items - List items
+     * @param {string} [style='and'] - and, or or unit, optionally followed by -long, -short or -narrow
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted list
+     * @throws {RangeError} If the style is unknown
+     */
+    static formatList(items, style, locale, formats) {
+        const [type, width] = String(style || 'and').toLowerCase().split('-', 2);
+
+        if (!LIST_TYPES.hasOwnProperty(type) || (width && !RELATIVE_STYLES.includes(width))) {
+            throw new RangeError(`Unknown list style '${style}' (expected and, or or unit with an optional -long, -short or -narrow)`);
+        }
+
+        const options = { ...this.getOptions(locale, 'list', formats), type: LIST_TYPES[type] };
+        if (width) {
+            options.style = width;
+        }
+
+        return this.getFormatter('ListFormat', locale, options).format(items.map(String));
+    }
+
+    /**
+     * Formats a number with a unit ('5 km', '3 gigabytes')
+     * @param {*} value - Raw value
+     * @param {string} unit - Unit identifier supported by Intl.NumberFormat (e.g. kilometer, megabyte, kilometer-per-hour)
+     * @param {string} [style='short'] - long, short or narrow
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted value
+     * @throws {RangeError} If the unit or style is unknown
+     */
+    static formatUnit(value, unit, style, locale, formats) {
+        const number = Number(value);
+        if (value === '' || Number.isNaN(number)) return String(value);
+
+        if (style && !RELATIVE_STYLES.includes(style)) {
+            throw new RangeError(`Unknown unit style '${style}' (expected long, short or narrow)`);
+        }
+
+        const options = { ...this.getOptions(locale, 'unit', formats), style: 'unit', unit };
+        if (style) {
+            options.unitDisplay = style;
+        }
+
+        return this.getFormatter('NumberFormat', locale, options).format(number);
+    }
+
+    /**
+     * Formats a duration in localized words ('2 days, 3 hours')
+     * Zero units are left out; durations under a second show as 0 seconds.
+     * @param {*} value - Duration in ms
+     * @param {string} [style='long'] - long, short or narrow
+     * @param {string} locale - Language code
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {string} Formatted duration
+     * @throws {RangeError} If the style is unknown
+     */
+    static formatDuration(value, style, locale, formats) {
+        const number = Number(value);
+        if (value === '' || Number.isNaN(number)) return String(value);
+
+        const width = style || 'long';
+        if (!RELATIVE_STYLES.includes(width)) {
+            throw new RangeError(`Unknown duration style '${style}' (expected long, short or narrow)`);
+        }
+
+        let remaining = Math.floor(Math.abs(number) / 1000) * 1000;
+        const parts = [];
+
+        for (const [unit, size] of DURATION_UNITS) {
+            const amount = Math.floor(remaining / size);
+            remaining -= amount * size;
+
+            if (amount > 0) {
+                parts.push(this.formatUnit(amount, unit, width, locale, formats));
+            }
+        }
+
+        if (parts.length === 0) {
+            parts.push(this.formatUnit(0, 'second', width, locale, formats));
+        }
+
+        return this.formatList(parts, `unit-${width}`, locale, formats);
+    }
+
+    /**
+     * Converts a placeholder value to a Date
+     * @param {*} value - Timestamp (ms or seconds), ISO string or Date
+     * @returns {Date|null} Date or null if invalid
+     */
+    static toDate(value) {
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? null : value;
+        }
+
+        if (value === null || value === undefined || value === '') return null;
+
+        let date;
+        if (/^-?\d+(\.\d+)?$/.test(String(value).trim())) {
+            const number = Number(value);
+            date = new Date(Math.abs(number) < 1e11 ? number * 1000 : number);
+        } else {
+            date = new Date(value);
+        }
+
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Gets the name of a language, written in that language by default
+     * @param {string} code - Language code
+     * @param {string} [displayLocale] - Language the name is written in
+     * @returns {string} Language name ('Türkçe'), or the code if it has none
+     */
+    static formatLanguageName(code, displayLocale = code) {
+        try {
+            const name = this.getFormatter('DisplayNames', displayLocale, { type: 'language' }).of(code);
+            return name ? name.charAt(0).toLocaleUpperCase(displayLocale) + name.slice(1) : code;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /**
+     * Gets configured Intl options for a locale and format type
+     * @param {string} locale - Language code
+     * @param {string} type - Format type
+     * @param {Object} [formats] - Intl options keyed by locale (or 'default') and format type
+     * @returns {Object} Merged options
+     */
+    static getOptions(locale, type, formats = {}) {
+        const base = locale ? locale.split('-')[0] : null;
+        const defaults = (formats.default && formats.default[type]) || {};
+        const baseOptions = (base && base !== locale && formats[base] && formats[base][type]) || {};
+        const localeOptions = (locale && formats[locale] && formats[locale][type]) || {};
+
+        return { ...defaults, ...baseOptions, ...localeOptions };
+    }
+
+    /**
+     * Gets a cached Intl formatter
+     * @param {string} name - Intl constructor name
+     * @param {string} locale - Language code
+     * @param {Object} options - Formatter options
+     * @returns {Object} Intl formatter
+     */
+    static getFormatter(name, locale, options) {
+        const cacheKey = `${name}:${locale || ''}:${JSON.stringify(options)}`;
+        let formatter = formatterCache.get(cacheKey);
+
+        if (!formatter) {
+            try {
+                formatter = new Intl[name](locale || undefined, options);
+            } catch (error) {
+                formatter = new Intl[name]('en', options);
+            }
+            formatterCache.set(cacheKey, formatter);
+        }
+
+        return formatter;
+    }
+}
+
+module.exports = ValueFormatter;
@@ -0,0 +1,148 @@
+const TextInterpolator = require('../utils/TextInterpolator');
+
+class LocaleValidator {
+    /**
+     * @param {Object} options - Validator options
+     * @param {string} [options.reference] - Locale the others are compared with (first locale by default)
+     */
+    constructor(options = {}) {
+        this.reference = options.reference || null;
+    }
+
+    /**
+     * Compares every locale with the reference locale
+     * Reports missing and extra keys, type mismatches, differing placeholders,
+     * invalid message syntax and locales that failed to load.
+     * @param {Object} locales - Translation data (or load Error) keyed by locale
+     * @returns {Object} { valid, reference, locales, issues }
+     */
+    validate(locales) {
+        const codes = Object.keys(locales);
+        const reference = this.reference || codes[0] || null;
+        const issues = [];
+        const entries = new Map();
+
+        for (const locale of codes) {
+            const data = locales[locale];
+
+            if (data instanceof Error) {
+                issues.push({ type: 'load', locale, key: null, message: data.message });
+                continue;
+            }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                issues.push({ type: 'load', locale, key: null, message: `Locale '${locale}' must be an object` });
+                continue;
+            }
+
+            entries.set(locale, this.collectEntries(locale, data, issues));
+        }
+
+        if (!entries.has(reference)) {
+            if (!reference) {
+                issues.push({ type: 'reference', locale: null, key: null, message: 'No locales found' });
+            } else if (!codes.includes(reference)) {
+                issues.push({ type: 'reference', locale: reference, key: null, message: `Reference locale '${reference}' not found (available: ${codes.join(', ')})` });
+            }
+            return { valid: false, reference, locales: codes, issues };
+        }
+
+        const referenceEntries = entries.get(reference);
+
+        for (const [locale, localeEntries] of entries) {
+            if (locale === reference) continue;
+            this.compareEntries(locale, referenceEntries, localeEntries, issues);
+        }
+
+        return { valid: issues.length === 0, reference, locales: codes, issues };
+    }
+
+    /**
+     * Flattens translation data into entries keyed by dotted path
+     * Messages are parsed to check their syntax and collect their placeholders.
+     * @param {string} locale - Language code
+     * @param {Object} data - Translation data
+     * @param {Array} issues - Issue list to add syntax and value errors to
+     * @returns {Map} Path → { kind: 'message'|'group', placeholders }
+     */
+    collectEntries(locale, data, issues) {
+        const entries = new Map();
+
+        const visit = (value, keys) => {
+            const key = keys.join('.');
+
+            if (typeof value === 'string' || TextInterpolator.isPluralObject(value)) {
+                let placeholders = null;
+                try {
+                    placeholders = TextInterpolator.getParameterNames(TextInterpolator.compile(value));
+                } catch (error) {
+                    issues.push({ type: 'syntax', locale, key, message: error.message });
+                }
+                entries.set(key, { kind: 'message', placeholders });
+                return;
+            }
+
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                if (keys.length > 0) {
+                    entries.set(key, { kind: 'group', placeholders: null });
+                }
+                for (const [child, childValue] of Object.entries(value)) {
+                    visit(childValue, [...keys, child]);
+                }
+                return;
+            }
+
+            issues.push({ type: 'value', locale, key, message: `Value must be a string, plural forms or an object (got ${Array.isArray(value) ? 'array' : typeof value})` });
+        };
+
+        visit(data, []);
+        return entries;
+    }
+
+    /**
+     * Compares a locale's entries with the reference entries
+     * @param {string} locale - Language code
+     * @param {Map} referenceEntries - Entries of the reference locale
+     * @param {Map} localeEntries - Entries of the locale
+     * @param {Array} issues - Issue list
+     */
+    compareEntries(locale, referenceEntries, localeEntries, issues) {
+        const isUnder = (key, groups) => groups.some(group => key.startsWith(`${group}.`));
+        const mismatched = [];
+
+        for (const [key, expected] of referenceEntries) {
+            if (isUnder(key, mismatched)) continue;
+
+            const actual = localeEntries.get(key);
+
+            if (!actual) {
+                if (expected.kind === 'message') {
+                    issues.push({ type: 'missing', locale, key, message: 'Key is missing' });
+                }
+                continue;
+            }
+
+            if (actual.kind !== expected.kind) {
+                mismatched.push(key);
+                issues.push({ type: 'type', locale, key, expected: expected.kind, actual: actual.kind, message: `Expected ${expected.kind === 'group' ? 'nested object' : 'message'}, found ${actual.kind === 'group' ? 'nested object' : 'message'}` });
+                continue;
+            }
+
+            if (expected.kind === 'message' && expected.placeholders && actual.placeholders) {
+                const expectedNames = Array.from(expected.placeholders).sort();
+                const actualNames = Array.from(actual.placeholders).sort();
+
+                if (expectedNames.join(',') !== actualNames.join(',')) {
+                    const list = names => names.length > 0 ? names.map(name => `{${name}}`).join(', ') : 'none';
+                    issues.push({ type: 'placeholders', locale, key, expected: expectedNames, actual: actualNames, message: `Placeholders ${list(actualNames)} differ from ${list(expectedNames)}` });
+                }
+            }
+        }
+
+        for (const [key, actual] of localeEntries) {
+            if (actual.kind !== 'message' || referenceEntries.has(key) || isUnder(key, mismatched)) continue;
+            issues.push({ type: 'extra', locale, key, message: 'Key does not exist in the reference locale' });
+        }
+    }
+}
+
+module.exports = LocaleValidator;
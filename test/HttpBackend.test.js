@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const HttpBackend = require('../lib/backends/HttpBackend');
+
+/**
+ * Starts a server answering <lang>.json with ETags and 304s
+ * @param {Object} files - JSON bodies keyed by path
+ * @returns {Promise<Object>} { server, baseUrl, requests }
+ */
+const startServer = (files) => new Promise((resolve) => {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const body = files[req.url];
+        requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+
+        if (body === undefined) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        const etag = `"${Buffer.from(body).toString('base64')}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag });
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag });
+        res.end(body);
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}`, requests });
+    });
+});
+
+test('HttpBackend reuses cached locales when the server answers 304', async () => {
+    const files = { '/en.json': JSON.stringify({ hello: 'Hello' }) };
+    const { server, baseUrl, requests } = await startServer(files);
+
+    try {
+        const backend = new HttpBackend({ baseUrl, locales: ['en'] });
+
+        await backend.loadLocales();
+        const first = backend.locales.get('en');
+        assert.deepStrictEqual(first, { hello: 'Hello' });
+        assert.strictEqual(requests[0].ifNoneMatch, null);
+
+        await backend.reloadLocales();
+        assert.strictEqual(requests.length, 2);
+        assert.ok(requests[1].ifNoneMatch, 'reload sends If-None-Match');
+        assert.strictEqual(backend.locales.get('en'), first, 'a 304 keeps the cached data');
+
+        files['/en.json'] = JSON.stringify({ hello: 'Hi' });
+        await backend.reloadLocales();
+        assert.deepStrictEqual(backend.locales.get('en'), { hello: 'Hi' });
+    } finally {
+        server.close();
+    }
+});
+
+test('HttpBackend keeps the last good version when a reload fails', async () => {
+    const files = { '/en.json': JSON.stringify({ hello: 'Hello' }) };
+    const { server, baseUrl } = await startServer(files);
+    const { error, warn } = console;
+    const errors = [];
+
+    try {
+        const backend = new HttpBackend({ baseUrl, locales: ['en'] });
+        await backend.loadLocales();
+
+        delete files['/en.json'];
+        console.error = message => errors.push(message);
+        console.warn = () => {};
+
+        await backend.reloadLocales();
+        assert.deepStrictEqual(backend.locales.get('en'), { hello: 'Hello' });
+        assert.match(errors[0], /HTTP 404/);
+    } finally {
+        console.error = error;
+        console.warn = warn;
+        server.close();
+    }
+});
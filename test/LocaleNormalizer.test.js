@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LocaleNormalizer = require('../lib/utils/LocaleNormalizer');
+
+const AVAILABLE = ['en', 'tr', 'pt-BR', 'zh-Hant', 'zh'];
+
+test('LocaleNormalizer normalizes codes to BCP-47 form', () => {
+    assert.strictEqual(LocaleNormalizer.normalize('EN_us'), 'en-US');
+    assert.strictEqual(LocaleNormalizer.normalize('zh_hant_tw'), 'zh-Hant-TW');
+    assert.strictEqual(LocaleNormalizer.normalize(' tr '), 'tr');
+    assert.strictEqual(LocaleNormalizer.normalize('x_bad_code!!'), 'x-bad-code!!');
+});
+
+test('LocaleNormalizer resolves codes ignoring case and separators', () => {
+    assert.strictEqual(LocaleNormalizer.resolve('tr', AVAILABLE), 'tr');
+    assert.strictEqual(LocaleNormalizer.resolve('TR', AVAILABLE), 'tr');
+    assert.strictEqual(LocaleNormalizer.resolve('pt_br', AVAILABLE), 'pt-BR');
+});
+
+test('LocaleNormalizer falls back from region variants to the base language', () => {
+    assert.strictEqual(LocaleNormalizer.resolve('EN_us', AVAILABLE), 'en');
+    assert.strictEqual(LocaleNormalizer.resolve('zh-Hant-TW', AVAILABLE), 'zh-Hant');
+    assert.strictEqual(LocaleNormalizer.resolve('zh-Hans-CN', AVAILABLE), 'zh');
+    assert.strictEqual(LocaleNormalizer.resolve('pt', AVAILABLE), null, 'a base language does not match its variants');
+});
+
+test('LocaleNormalizer applies aliases before matching', () => {
+    const aliases = LocaleNormalizer.createAliases({ English: 'en', 'Türkçe': 'TR', br: 'pt_br' });
+
+    assert.strictEqual(LocaleNormalizer.resolve('english', AVAILABLE, aliases), 'en');
+    assert.strictEqual(LocaleNormalizer.resolve('TÜRKÇE', AVAILABLE, aliases), 'tr');
+    assert.strictEqual(LocaleNormalizer.resolve('br', AVAILABLE, aliases), 'pt-BR');
+});
+
+test('LocaleNormalizer returns null for unknown and empty codes', () => {
+    assert.strictEqual(LocaleNormalizer.resolve('fr', AVAILABLE), null);
+    assert.strictEqual(LocaleNormalizer.resolve('', AVAILABLE), null);
+    assert.strictEqual(LocaleNormalizer.resolve('  ', AVAILABLE), null);
+    assert.strictEqual(LocaleNormalizer.resolve(null, AVAILABLE), null);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageParser = require('../lib/utils/MessageParser');
+const AoiLocale = require('../lib/core/AoiLocale');
+
+/**
+ * Returns the error message a message fails to parse with
+ * @param {string} message - ICU message
+ * @returns {string} Error message
+ */
+const parseError = (message) => {
+    try {
+        MessageParser.parse(message);
+    } catch (error) {
+        assert.ok(error instanceof SyntaxError);
+        return error.message;
+    }
+    assert.fail(`'${message}' parsed without an error`);
+};
+
+test('MessageParser parses text and placeholders', () => {
+    assert.deepStrictEqual(MessageParser.parse('Hello {user}!'), [
+        { type: 'text', value: 'Hello ' },
+        { type: 'argument', name: 'user' },
+        { type: 'text', value: '!' }
+    ]);
+    assert.deepStrictEqual(MessageParser.parse('{ 0 }'), [{ type: 'argument', name: '0' }]);
+    assert.deepStrictEqual(MessageParser.parse(''), []);
+});
+
+test('MessageParser parses typed placeholders', () => {
+    assert.deepStrictEqual(MessageParser.parse('{price, currency, USD}'), [
+        { type: 'format', name: 'price', format: 'currency', style: 'USD' }
+    ]);
+    assert.deepStrictEqual(MessageParser.parse('{count, number}'), [
+        { type: 'format', name: 'count', format: 'number', style: null }
+    ]);
+});
+
+test('MessageParser handles apostrophe quoting', () => {
+    assert.deepStrictEqual(MessageParser.parse("It''s '{literal}' and '}'"), [
+        { type: 'text', value: "It's {literal} and }" }
+    ]);
+    assert.deepStrictEqual(MessageParser.parse("don't"), [{ type: 'text', value: "don't" }]);
+    assert.deepStrictEqual(MessageParser.parse("'#' and #"), [{ type: 'text', value: "'#' and #" }]);
+});
+
+test('MessageParser parses plural options with offset, =N selectors and #', () => {
+    const [node] = MessageParser.parse("{n, plural, offset:1 =0 {none} one {# '#'} other {{name} and #}}");
+
+    assert.strictEqual(node.type, 'plural');
+    assert.strictEqual(node.name, 'n');
+    assert.strictEqual(node.offset, 1);
+    assert.deepStrictEqual(node.options['=0'], [{ type: 'text', value: 'none' }]);
+    assert.deepStrictEqual(node.options.one, [{ type: 'pound' }, { type: 'text', value: ' #' }]);
+    assert.deepStrictEqual(node.options.other, [
+        { type: 'argument', name: 'name' },
+        { type: 'text', value: ' and ' },
+        { type: 'pound' }
+    ]);
+});
+
+test('MessageParser parses nested select and plural options', () => {
+    const [node] = MessageParser.parse('{g, select, female {{n, plural, one {# item} other {# items}}} other {-}}');
+
+    assert.strictEqual(node.type, 'select');
+    assert.strictEqual(node.options.female[0].type, 'plural');
+    assert.deepStrictEqual(node.options.female[0].options.one, [{ type: 'pound' }, { type: 'text', value: ' item' }]);
+    assert.deepStrictEqual(node.options.other, [{ type: 'text', value: '-' }]);
+});
+
+test('MessageParser keeps # literal outside plural options', () => {
+    assert.deepStrictEqual(MessageParser.parse('#1 {g, select, other {#}}'), [
+        { type: 'text', value: '#1 ' },
+        { type: 'select', name: 'g', offset: 0, options: { other: [{ type: 'text', value: '#' }] } }
+    ]);
+});
+
+test('MessageParser reports syntax errors with their position', () => {
+    assert.strictEqual(parseError('Use {} here'), 'Expected argument name at position 5');
+    assert.strictEqual(parseError('{a'), "Unclosed argument 'a' at position 0");
+    assert.strictEqual(parseError('{a b}'), "Expected ',' or '}' after argument 'a' at position 3");
+    assert.strictEqual(parseError('a}b'), "Unexpected '}' at position 1");
+    assert.strictEqual(parseError("'{a"), 'Unterminated quoted text at position 0');
+    assert.strictEqual(parseError('{a, foo, x {y}}'), "Unknown argument type 'foo' for 'a' at position 7");
+    assert.strictEqual(parseError('{a, number, weird}'), "Unknown number style 'weird' for 'a' at position 11");
+});
+
+test('MessageParser reports invalid plural and select options', () => {
+    assert.strictEqual(parseError('{a, plural, one {x}}'), "Missing 'other' option in plural argument 'a' at position 0");
+    assert.strictEqual(parseError('{a, plural, one {x} other {y}'), "Unclosed plural argument 'a' at position 0");
+    assert.strictEqual(parseError('{a, plural, =x {y} other {z}}'), "Invalid selector '=x' in plural argument 'a' at position 14");
+    assert.strictEqual(parseError('{a, plural, one {x} one {y} other {z}}'), "Duplicate selector 'one' in plural argument 'a' at position 23");
+    assert.strictEqual(parseError('{a, plural, offset:x other {z}}'), "Expected number after 'offset:' in argument 'a' at position 19");
+    assert.strictEqual(parseError('{a, select, x y}'), "Expected '{' after selector 'x' at position 14");
+});
+
+test('AoiLocale names the key and locale of a broken message', () => {
+    const locale = new AoiLocale();
+
+    assert.throws(
+        () => locale.getCompiledMessage('help.usage', 'tr', 'Use {} here'),
+        { message: "[aoi.locale] Invalid message for key 'help.usage' in locale 'tr': Expected argument name at position 5" }
+    );
+    assert.strictEqual(locale.getCompiledMessage('help.usage', 'tr', "Use '{}' here")[0].value, 'Use {} here');
+});
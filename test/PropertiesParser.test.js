@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PropertiesParser = require('../lib/parsers/PropertiesParser');
+
+test('PropertiesParser nests dotted keys and skips comments', () => {
+    const content = [
+        '# Comment',
+        '! Also a comment',
+        '',
+        'help.title = Help',
+        'help.usage:Usage',
+        'greeting Hello there',
+        '   indented=yes'
+    ].join('\n');
+
+    assert.deepStrictEqual(PropertiesParser.parse(content), {
+        help: { title: 'Help', usage: 'Usage' },
+        greeting: 'Hello there',
+        indented: 'yes'
+    });
+});
+
+test('PropertiesParser joins continuation lines', () => {
+    const content = 'long = first \\\n    second \\\r\n\tthird\nnext=1\nslashes=a\\\\\nlast=2';
+
+    assert.deepStrictEqual(PropertiesParser.parse(content), {
+        long: 'first second third',
+        next: '1',
+        slashes: 'a\\',
+        last: '2'
+    });
+    assert.deepStrictEqual(PropertiesParser.parse('open=value \\'), { open: 'value ' });
+});
+
+test('PropertiesParser resolves escapes in keys and values', () => {
+    const content = 'key\\ with\\=sep = tab\\tnew\\nline \\u00e7\\u0131 \\{x\\}\nspace=\\  lead';
+
+    assert.deepStrictEqual(PropertiesParser.parse(content), {
+        'key with=sep': 'tab\tnew\nline çı {x}',
+        space: '  lead'
+    });
+});
+
+test('PropertiesParser round-trips data through stringify', () => {
+    const data = { help: { 'a b': '#not a comment', tabs: '\tx\\y' }, empty: '' };
+
+    assert.deepStrictEqual(PropertiesParser.parse(PropertiesParser.stringify(data)), data);
+});
+
+test('PropertiesParser rejects reserved key names', () => {
+    for (const key of ['__proto__.polluted', 'a.constructor.b', 'prototype']) {
+        assert.throws(
+            () => PropertiesParser.parse(`${key}=x`),
+            { message: `Key '${key}' uses a reserved name (__proto__, constructor, prototype)` }
+        );
+    }
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('PropertiesParser reports keys that conflict with nested keys', () => {
+    assert.throws(() => PropertiesParser.parse('a=1\na.b=2'), { message: "Key 'a.b' conflicts with 'a'" });
+    assert.throws(() => PropertiesParser.parse('a.b=1\na=2'), { message: "Key 'a' conflicts with nested keys under it" });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TextInterpolator = require('../lib/utils/TextInterpolator');
+
+test('TextInterpolator fills named and array parameters', () => {
+    assert.strictEqual(TextInterpolator.interpolate('Hi {USER}', { user: 'Ali' }, 'en'), 'Hi Ali');
+    assert.strictEqual(TextInterpolator.interpolate('Hi {user} in {server} ({0})', ['Ali', 'Guild'], 'en'), 'Hi Ali in Guild (Ali)');
+    assert.strictEqual(TextInterpolator.interpolate('Hi {name}', ['x', 'name=Ali'], 'en'), 'Hi x');
+    assert.strictEqual(TextInterpolator.interpolate('Hi {nick}', ['x', 'nick=Ali'], 'en'), 'Hi Ali');
+    assert.strictEqual(TextInterpolator.interpolate('Hi {missing}', {}, 'en'), 'Hi {missing}');
+});
+
+test('TextInterpolator formats plural options with offset and =N selectors', () => {
+    const message = '{n, plural, offset:1 =0 {nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}}';
+
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 0, name: 'Ali' }, 'en'), 'nobody');
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 1, name: 'Ali' }, 'en'), 'Ali');
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 2, name: 'Ali' }, 'en'), 'Ali and 1 other');
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 3, name: 'Ali' }, 'en'), 'Ali and 2 others');
+});
+
+test('TextInterpolator formats # with the locale number format', () => {
+    const message = '{n, plural, one {# apple} other {# apples}}';
+
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 1 }, 'en'), '1 apple');
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 1234.5 }, 'de'), '1.234,5 apples');
+    assert.strictEqual(TextInterpolator.interpolate(message, {}, 'en'), '# apples');
+});
+
+test('TextInterpolator formats nested select, plural and selectordinal options', () => {
+    const message = '{g, select, male {He} female {She} other {They}} has {n, plural, one {# item} other {# items}}';
+    const ordinal = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+
+    assert.strictEqual(TextInterpolator.interpolate(message, { g: 'female', n: 1 }, 'en'), 'She has 1 item');
+    assert.strictEqual(TextInterpolator.interpolate(message, { g: 'x', n: 1000 }, 'en'), 'They has 1,000 items');
+    assert.strictEqual(TextInterpolator.interpolate(ordinal, { n: 23 }, 'en'), '23rd');
+    assert.strictEqual(TextInterpolator.interpolate(ordinal, { n: 11 }, 'en'), '11th');
+});
+
+test('TextInterpolator formats plural forms objects by count', () => {
+    const forms = { zero: 'none', one: '{count} item', other: '#{count} items' };
+
+    assert.strictEqual(TextInterpolator.interpolate(forms, { count: 0 }, 'en'), 'none');
+    assert.strictEqual(TextInterpolator.interpolate(forms, { count: 1 }, 'en'), '1 item');
+    assert.strictEqual(TextInterpolator.interpolate(forms, { count: 5 }, 'en'), '#5 items', 'forms are top-level messages');
+});
+
+test('TextInterpolator renders quoted braces literally', () => {
+    assert.strictEqual(TextInterpolator.interpolate("Use '{}' for {thing}", { thing: 'sets' }, 'en'), 'Use {} for sets');
+    assert.throws(() => TextInterpolator.interpolate('Use {} here', {}, 'en'), SyntaxError);
+});
+
+test('TextInterpolator applies the formats it is given', () => {
+    const formats = { default: { number: { minimumFractionDigits: 2 } }, de: { currency: { currency: 'EUR' } } };
+
+    assert.strictEqual(TextInterpolator.interpolate('{n, number}', { n: 5 }, 'en', { formats }), '5.00');
+    assert.strictEqual(TextInterpolator.interpolate('{n, number}', { n: 5 }, 'en'), '5', 'formats do not leak between calls');
+    assert.match(TextInterpolator.interpolate('{n, currency}', { n: 5 }, 'de-DE', { formats }), /^5,00\s€$/);
+});
+
+test('TextInterpolator applies the custom plural rules it is given', () => {
+    const pluralRules = TextInterpolator.createPluralRules({ xx: count => count === 2 ? 'two' : 'other' });
+    const message = '{n, plural, two {pair} other {# things}}';
+
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 2 }, 'xx', { pluralRules }), 'pair');
+    assert.strictEqual(TextInterpolator.interpolate(message, { n: 2 }, 'xx'), '2 things', 'rules do not leak between calls');
+    assert.throws(() => TextInterpolator.createPluralRules({ xx: 'one' }), TypeError);
+});